@@ -0,0 +1,67 @@
+// Build steps for files that are generated from others. Run `npm run build` after editing the
+// engine or any precached file; `npm test` fails while the generated copies are stale.
+// - the_tungsten_standard_engine.global.js: the engine as a classic script that sets
+//   `self.TungstenEngine`, so the HTML build also works opened from file:// (browsers block
+//   module imports there)
+// - the service worker's VERSION + ASSETS block: a content hash of the precached files, so any
+//   change to them ships a new worker (and a new cache)
+// - `npm run build -- --dist <dir>`: after bundling the React app into <dir>, writes a worker
+//   there that precaches every file of the bundle (entry page, JS/CSS chunks, manifest, icons)
+import { readFileSync, writeFileSync, readdirSync, statSync } from "node:fs";
+import { resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createHash } from "node:crypto";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+export const ENGINE = "the_tungsten_standard_engine.js";
+export const ENGINE_GLOBAL = "the_tungsten_standard_engine.global.js";
+export const SERVICE_WORKER = "the_tungsten_standard_sw.js";
+export const HTML_APP = "11-6-2025-11:50am";
+// everything the HTML build needs offline
+export const PRECACHE = [HTML_APP, ENGINE, ENGINE_GLOBAL, "the_tungsten_standard.webmanifest", "the_tungsten_standard_icon.svg"];
+
+export function engineGlobal(src) {
+  const names = [...src.matchAll(/^export (?:const|function) (\w+)/gm)].map((m) => m[1]);
+  const body = src.replace(/^export (?=const |function )/gm, "");
+  return `// GENERATED by scripts/build.js from ${ENGINE}: edit that file, then run \`npm run build\`.
+(function (root) {
+"use strict";
+${body}
+root.TungstenEngine = Object.freeze({ ${names.join(", ")} });
+})(typeof self !== "undefined" ? self : globalThis);
+`;
+}
+
+// files: { "relative/path": contents }, in precache order
+export function stampServiceWorker(swSrc, files) {
+  const hash = createHash("sha256");
+  Object.entries(files).forEach(([name, body]) => hash.update(`${name}\n`).update(body));
+  const block = `// ---- generated by scripts/build.js: do not edit ----
+const VERSION = "${hash.digest("hex").slice(0, 12)}";
+const ASSETS = ${JSON.stringify(Object.keys(files).map((f) => `./${f}`))};
+// ---- end generated ----`;
+  return swSrc.replace(/\/\/ ---- generated by scripts\/build\.js[\s\S]*?\/\/ ---- end generated ----/, block);
+}
+
+export const readAll = (names, dir = root) => Object.fromEntries(names.map((f) => [f, readFileSync(dir + f)]));
+
+// every file under dir except the worker itself and source maps, as sorted "/"-separated paths
+export const bundleFiles = (dir) => readdirSync(dir, { recursive: true })
+  .map((f) => f.split(/[\\/]/).join("/"))
+  .filter((f) => f !== SERVICE_WORKER && !f.endsWith(".map") && statSync(dir + f).isFile())
+  .sort();
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const at = process.argv.indexOf("--dist");
+  if (at === -1) {
+    writeFileSync(root + ENGINE_GLOBAL, engineGlobal(readFileSync(root + ENGINE, "utf8")));
+    writeFileSync(root + SERVICE_WORKER, stampServiceWorker(readFileSync(root + SERVICE_WORKER, "utf8"), readAll(PRECACHE)));
+    console.log(`wrote ${ENGINE_GLOBAL}, ${SERVICE_WORKER}`);
+  } else {
+    if (!process.argv[at + 1]) throw new Error("--dist needs the React build's output directory");
+    const dist = resolve(process.argv[at + 1]) + sep;
+    const files = bundleFiles(dist);
+    writeFileSync(dist + SERVICE_WORKER, stampServiceWorker(readFileSync(root + SERVICE_WORKER, "utf8"), readAll(files, dist)));
+    console.log(`wrote ${dist}${SERVICE_WORKER} (${files.length} files precached)`);
+  }
+}
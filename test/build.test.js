@@ -0,0 +1,56 @@
+// Generated and deployed files must match their sources: the file:// engine copy, the service worker stamp, the manifest
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, mkdtempSync, mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, sep } from "node:path";
+import vm from "node:vm";
+import * as Engine from "../the_tungsten_standard_engine.js";
+import { engineGlobal, stampServiceWorker, readAll, bundleFiles, ENGINE, ENGINE_GLOBAL, SERVICE_WORKER, HTML_APP, PRECACHE } from "../scripts/build.js";
+
+const read = (f) => readFileSync(new URL(`../${f}`, import.meta.url), "utf8");
+
+test("engine.global.js is up to date (run npm run build)", () => {
+  assert.equal(read(ENGINE_GLOBAL), engineGlobal(read(ENGINE)));
+});
+
+test("the classic-script engine exposes every export and gives the same answers", () => {
+  const sandbox = { self: {} };
+  vm.runInNewContext(read(ENGINE_GLOBAL), sandbox);
+  const Global = sandbox.self.TungstenEngine;
+  assert.deepEqual(Object.keys(Global).sort(), Object.keys(Engine).sort());
+  assert.equal(Global.bmrMSJ({ gender: "male", age: 30, heightCm: 178, weightKg: 86 }), Engine.bmrMSJ({ gender: "male", age: 30, heightCm: 178, weightKg: 86 }));
+});
+
+test("service worker VERSION/ASSETS match the precached files (run npm run build)", () => {
+  const sw = read(SERVICE_WORKER);
+  assert.equal(sw, stampServiceWorker(sw, readAll(PRECACHE)));
+  assert.match(sw, /const VERSION = "[0-9a-f]{12}";/);
+});
+
+test("a change to any precached file changes VERSION", () => {
+  const sw = read(SERVICE_WORKER), files = readAll(PRECACHE);
+  const bumped = stampServiceWorker(sw, { ...files, [ENGINE]: files[ENGINE] + "\n// edit" });
+  assert.notEqual(bumped.match(/VERSION = "(\w+)"/)[1], sw.match(/VERSION = "(\w+)"/)[1]);
+});
+
+test("the manifest launches the HTML app page, not the folder's index", () => {
+  const manifest = JSON.parse(read("the_tungsten_standard.webmanifest"));
+  assert.equal(manifest.start_url, `./${HTML_APP}`);
+  assert.equal(manifest.scope, "./");
+});
+
+test("--dist precaches every file of the React bundle but the worker and source maps", () => {
+  const dist = mkdtempSync(join(tmpdir(), "tungsten-dist-")) + sep;
+  try {
+    mkdirSync(dist + "assets");
+    ["index.html", "assets/index-a1.js", "assets/chunk-b2.js", "assets/index-a1.js.map", "assets/index-c3.css", SERVICE_WORKER]
+      .forEach((f) => writeFileSync(dist + f, f));
+    const files = bundleFiles(dist);
+    assert.deepEqual(files, ["assets/chunk-b2.js", "assets/index-a1.js", "assets/index-c3.css", "index.html"]);
+    const sw = stampServiceWorker(read(SERVICE_WORKER), readAll(files, dist));
+    assert.match(sw, /const ASSETS = \["\.\/assets\/chunk-b2\.js","\.\/assets\/index-a1\.js","\.\/assets\/index-c3\.css","\.\/index\.html"\];/);
+  } finally {
+    rmSync(dist, { recursive: true });
+  }
+});
@@ -0,0 +1,336 @@
+// Reference values for the shared engine (hand-computed from each published equation)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bmrMSJ, tdeeFrom, targetCalories, macrosFromCalories,
+  hrMaxAuto, resolveHrMax, karvonenZones, zoneIndexForHr, hrZoneMinutes, bestDistance,
+  vo2Uth, vo2Cooper, vo2Rockport, vo2Run15, vo2Step, vo2Submax,
+  readinessScore, adjustedCardioPlan, adjustedSession, sweatRate, trendWeights, adaptiveTdee, addDays, localDay,
+  cycleStats, cycleForecast,
+  BACKUP_SCHEMA, backupSchema, fromHtmlState, toHtmlState,
+  clockMin, sleepDuration, sleepDebt, sleepSchedule, sessionHydration,
+  exposureSafety, loggedSessionType, coldPlan, saunaPlan, reminderSchedule,
+} from "../the_tungsten_standard_engine.js";
+
+test("Mifflin-St Jeor BMR", () => {
+  assert.equal(bmrMSJ({ gender: "male", age: 30, heightCm: 178, weightKg: 86 }), 1827.5);
+  assert.equal(bmrMSJ({ gender: "female", age: 30, heightCm: 178, weightKg: 86 }), 1661.5);
+  assert.equal(bmrMSJ({ gender: "male", age: 30, heightCm: 178, weightKg: 0 }), 0);
+  assert.equal(bmrMSJ({}), 0);
+});
+
+test("TDEE from activity, unknown level falls back to moderate", () => {
+  assert.equal(tdeeFrom(1827.5, "moderate"), 2833);
+  assert.equal(tdeeFrom(1827.5, "heavy"), tdeeFrom(1827.5, "active"));
+  assert.equal(tdeeFrom(1827.5, "nonsense"), 2833);
+  assert.equal(tdeeFrom(0, "athlete"), 0);
+});
+
+test("cut/gain target and macros with zero weight", () => {
+  assert.equal(targetCalories({ tdee: 2800, weightKg: 90, goalWeightKg: 80 }), Math.round(2800 * 0.82));
+  assert.equal(targetCalories({ tdee: 2800, weightKg: 80, goalWeightKg: 81 }), 2800);
+  assert.equal(targetCalories({ tdee: 2800, weightKg: 0, goalWeightKg: 80 }), 2800);
+  assert.deepEqual(macrosFromCalories({ calories: 2500, weightKg: 0 }), { protein: 0, fat: 0, carbs: 0 });
+  assert.deepEqual(macrosFromCalories({ calories: 2500, weightKg: 80 }), { protein: 144, fat: 78, carbs: 306 });
+});
+
+test("HRmax: Tanaka default, override wins when positive", () => {
+  assert.equal(hrMaxAuto(30), 187);
+  assert.equal(resolveHrMax(30, 0), 187);
+  assert.equal(resolveHrMax("30", ""), 187);
+  assert.equal(resolveHrMax(30, 200), 200);
+  assert.equal(resolveHrMax(30, -5), 187);
+});
+
+test("Karvonen zones with and without the HRmax override", () => {
+  const auto = karvonenZones(60, resolveHrMax(30, 0));
+  assert.deepEqual(auto.map(z => [z.bpmLo, z.bpmHi]), [[124, 136], [136, 149], [149, 162], [162, 174], [174, 187]]);
+  const override = karvonenZones(60, resolveHrMax(30, 200));
+  assert.deepEqual([override[1].bpmLo, override[1].bpmHi], [144, 158]);
+  assert.equal(override[4].hr, "186-200 bpm");
+  assert.equal(zoneIndexForHr(100, 60, 200), 0); // below Z1 counts as Z1
+  assert.equal(zoneIndexForHr(150, 60, 200), 1);
+  assert.equal(zoneIndexForHr(210, 60, 200), 4);
+});
+
+test("HR zone minutes skip pauses and samples without HR", () => {
+  const points = [{ t: 0, hr: 140 }, { t: 30, hr: 175 }, { t: 90, hr: 100 }, { t: 120 }, { t: 150, hr: 150 }, { t: 300, hr: 150 }, { t: 360, hr: 150 }];
+  assert.deepEqual(hrZoneMinutes(points, 60, 200), [1, 1, 0, 1, 0]); // 150→300 s is a pause
+  assert.deepEqual(hrZoneMinutes([], 60, 200), [0, 0, 0, 0, 0]);
+});
+
+test("best distance over a window, interpolated between samples", () => {
+  // 4 m/s for 10 min, then 5 m/s for 5 min
+  const points = Array.from({ length: 16 }, (_, i) => ({ t: i * 60, dist: i <= 10 ? i * 240 : 2400 + (i - 10) * 300 }));
+  assert.equal(bestDistance(points), 3180); // the last 12 minutes
+  assert.equal(bestDistance(points, 90), 450);
+  assert.equal(bestDistance([{ t: 0, hr: 120 }, ...points.slice(0, 11)]), 0); // shorter than the window; HR-only samples ignored
+});
+
+test("VO₂ estimators", () => {
+  assert.equal(vo2Uth(180, 60), 45.9);
+  assert.equal(vo2Cooper(2400), 42.4);
+  assert.equal(vo2Run15(12), 43.8);
+  assert.equal(vo2Step({ gender: "male", recoveryHr: 120 }), 60.9);
+  assert.equal(vo2Step({ gender: "female", recoveryHr: 120 }), 43.6);
+  assert.equal(vo2Rockport({ weightLb: 180, age: 30, gender: "male", minutes: 15, hr: 140 }), 42.8);
+  assert.equal(vo2Submax({ speedMMin: 200, gradePct: 0, hr: 150, hrRest: 60, hrMax: 190 }), 61.3);
+});
+
+test("VO₂ estimators return 0 for missing or impossible inputs", () => {
+  assert.equal(vo2Uth(180, 0), 0);
+  assert.equal(vo2Uth(0, 60), 0);
+  assert.equal(vo2Cooper(0), 0);
+  assert.equal(vo2Run15(0), 0);
+  assert.equal(vo2Step({ gender: "male", recoveryHr: 0 }), 0);
+  assert.equal(vo2Step({ gender: "male", recoveryHr: 400 }), 0); // negative result
+  assert.equal(vo2Rockport({ weightLb: 180, age: 30, gender: "male", minutes: 15 }), 0);
+  assert.equal(vo2Submax({ speedMMin: 200, hr: 55, hrRest: 60, hrMax: 190 }), 0);
+  assert.equal(vo2Submax({}), 0);
+});
+
+test("readiness blends the parts it has", () => {
+  assert.equal(readinessScore({}), null);
+  const checkinOnly = readinessScore({ total: 105 });
+  assert.equal(checkinOnly.score, 100);
+  assert.equal(checkinOnly.label, "Primed");
+  assert.deepEqual(checkinOnly.parts, [{ key: "checkin", score: 100, weight: 1 }]);
+  const all = readinessScore({ total: 63, sleepDebtH: 2, rhrDelta: 5, soreness: 3 });
+  assert.equal(all.score, 53); // 50×.4 + 70×.25 + 40×.2 + 50×.15
+  assert.equal(all.label, "Moderate");
+  assert.equal(readinessScore({ rhrDelta: -4 }).score, 100); // a lower resting HR is never penalised
+  assert.equal(readinessScore({ sleepDebtH: 20 }).score, 0);
+});
+
+test("readiness downgrades the day's cardio", () => {
+  const plan = { tier: "build", z2: 40, hard: 6 };
+  assert.equal(adjustedCardioPlan(plan, null).change, null);
+  assert.equal(adjustedCardioPlan(plan, { score: 60 }).hard, 4);
+  assert.equal(adjustedCardioPlan(plan, { score: 40 }).change, "z2");
+  assert.deepEqual(adjustedCardioPlan(plan, { score: 10 }), { ...plan, hard: 0, z2: 27, change: "recovery" });
+  const floor = { tier: "rebuild", z2: 30, hard: 3 };
+  assert.deepEqual(adjustedCardioPlan(floor, { score: 60 }), { ...floor, change: null }); // nothing left to trim
+  const hiit = { type: "hiit", hard: 3 };
+  assert.equal(adjustedSession(hiit, { score: 60 }, floor), hiit); // so the day shows no "session changed"
+  assert.deepEqual(adjustedCardioPlan({ ...floor, hard: 4 }, { score: 60 }), { ...floor, change: "trim" });
+});
+
+test("sweat rate from a weigh-in test", () => {
+  assert.deepEqual(sweatRate({ preKg: 70, postKg: 69, fluidMl: 500, urineMl: 0, minutes: 60 }), { lPerH: 1.5, lossL: 1.5, massLossPct: 1.4 });
+  assert.equal(sweatRate({ preKg: 70, postKg: 69, fluidMl: 500, urineMl: 200, minutes: 30 }).lPerH, 2.6);
+  assert.equal(sweatRate({ preKg: 70, postKg: 69, minutes: 0 }), null);
+  assert.equal(sweatRate({ preKg: 0, postKg: 69, minutes: 60 }), null);
+  assert.equal(sweatRate({ preKg: 70, postKg: 70.5, minutes: 60 }), null); // gained weight
+});
+
+test("adaptive TDEE from trend weight and intake", () => {
+  const days = (n, start = "2026-01-01") => Array.from({ length: n }, (_, i) => addDays(start, i));
+  // weight steady for 22 days on 2500 kcal → TDEE 2500
+  const steady = trendWeights(days(22).map(d => ({ d, kg: 80 })));
+  const intake = days(22).map(d => ({ d, kcal: 2500 }));
+  assert.deepEqual(adaptiveTdee({ intake, trend: steady }), { tdee: 2500, avgIntake: 2500, kgPerWeek: 0, span: 21, loggedDays: 21 });
+  // trend falls 1 kg over 21 days on 2500 kcal → 2500 + 7700/21
+  const falling = days(22).map((d, i) => ({ d, trend: 80 - i / 21 }));
+  assert.equal(adaptiveTdee({ intake, trend: falling }).tdee, 2867);
+  assert.equal(adaptiveTdee({ intake: [], trend: falling }), null); // too few logged days
+  assert.equal(adaptiveTdee({ intake, trend: steady.slice(-10) }), null); // under 14 days
+  assert.equal(adaptiveTdee({ intake, trend: [] }), null);
+  assert.deepEqual(trendWeights([]), []);
+  assert.deepEqual(trendWeights([{ d: "2026-01-01", kg: 0 }]), []);
+});
+
+test("cycle stats: defaults, averages and missed logs", () => {
+  assert.deepEqual(cycleStats(), { cycle: 28, luteal: 14, period: 5, cycles: 0, irregular: false, lastStart: null });
+  const log = {
+    periods: [{ start: "2025-02-28", end: "2025-03-03" }, { start: "2025-01-01", end: "2025-01-05" }, { start: "2025-01-29", end: "2025-02-02" }],
+    ovulations: ["2025-02-14"],
+  };
+  assert.deepEqual(cycleStats(log), { cycle: 29, luteal: 14, period: 4.7, cycles: 2, irregular: false, lastStart: "2025-02-28" });
+  const gappy = cycleStats({ periods: ["2025-01-01", "2025-04-01", "2025-04-26", "2025-05-31"].map(start => ({ start })) });
+  assert.deepEqual([gappy.cycle, gappy.cycles, gappy.irregular], [30, 2, true]); // the 90-day gap is a missed log
+});
+
+test("cycle forecast groups days into phases and wraps onto predicted cycles", () => {
+  const log = { periods: [{ start: "2025-01-01" }] };
+  assert.deepEqual(cycleForecast("2025-01-01", log, 28), [
+    { phase: "menstruation", start: "2025-01-01", end: "2025-01-05" },
+    { phase: "follicular", start: "2025-01-06", end: "2025-01-12" },
+    { phase: "ovulation", start: "2025-01-13", end: "2025-01-15" },
+    { phase: "luteal", start: "2025-01-16", end: "2025-01-28" },
+  ]);
+  assert.deepEqual(cycleForecast("2025-01-27", log, 4), [
+    { phase: "luteal", start: "2025-01-27", end: "2025-01-28" },
+    { phase: "menstruation", start: "2025-01-29", end: "2025-01-30" },
+  ]);
+  assert.deepEqual(cycleForecast("2024-12-30", log), []); // nothing logged before the first start
+});
+
+test("day keys use the local date, also late in the evening", () => {
+  assert.equal(localDay(new Date(2026, 9, 19, 23, 30)), "2026-10-19");
+  assert.equal(localDay(new Date(2026, 0, 5, 0, 15)), "2026-01-05");
+});
+
+test("backup schema check", () => {
+  assert.equal(backupSchema({ schema: 1 }), 1);
+  assert.equal(backupSchema({ schema: BACKUP_SCHEMA }), BACKUP_SCHEMA);
+  assert.throws(() => backupSchema({}), /no schema version/);
+  assert.throws(() => backupSchema({ schema: BACKUP_SCHEMA + 1 }), /only understands up to/);
+});
+
+test("React ts_* profile → HTML state, both units filled", () => {
+  assert.deepEqual(toHtmlState({ ts_gender: "male", ts_age: 30, ts_unit: "imperial", ts_h_ft: 5, ts_h_in: 10, ts_h_cm: 150, ts_weight: 190, ts_goal_weight: 180, ts_activity: "active", ts_cycle: "ovulation", ts_hr_rest: 52, "ts_age@x": 40, ts_checkins: {} }), {
+    sex: "male", age: 30, units: "us", heightFt: 5, heightIn: 10, heightCm: 177.8,
+    weightLb: 190, weightKg: 86.2, goalWeightLb: 180, goalWeightKg: 81.6, activity: "heavy", cycle: "ovulatory", rhr: 52,
+  });
+  assert.deepEqual(toHtmlState({ ts_unit: "metric", ts_h_cm: 178, ts_weight: 86 }), { units: "metric", heightFt: 5, heightIn: 10.1, heightCm: 178, weightLb: 189.6, weightKg: 86 });
+  assert.deepEqual(toHtmlState({}), { units: "us" });
+  assert.deepEqual(toHtmlState({ ts_age: "", ts_weight: "abc" }), { units: "us" });
+});
+
+test("HTML state survives a trip through ts_* keys", () => {
+  const html = { sex: "female", age: 24, units: "us", heightFt: 5, heightIn: 6, heightCm: 167.6, weightLb: 150, weightKg: 68, goalWeightLb: 145, goalWeightKg: 65.8, activity: "heavy", cycle: "ovulatory", rhr: 55 };
+  assert.deepEqual(toHtmlState(fromHtmlState(html)), html);
+});
+
+test("clock times parse only as H:MM / HH:MM", () => {
+  assert.equal(clockMin("07:30"), 450);
+  assert.equal(clockMin("7:05"), 425);
+  ["", null, undefined, "24:00", "07:60", "7", "abc", "07:30:00"].forEach((t) => assert.equal(clockMin(t), null, String(t)));
+});
+
+test("sleep duration crosses midnight; cleared or equal times give null", () => {
+  assert.equal(sleepDuration("23:00", "07:00"), 8);
+  assert.equal(sleepDuration("22:30", "06:15"), 7.75);
+  assert.equal(sleepDuration("01:00", "08:30"), 7.5);
+  assert.equal(sleepDuration("", "07:00"), null);
+  assert.equal(sleepDuration("23:00", ""), null);
+  assert.equal(sleepDuration("23:00", "23:00"), null);
+});
+
+test("sleep debt nets short and long nights over the window", () => {
+  const log = {
+    "2026-10-19": { bed: "01:00", wake: "07:00" }, // 6 h
+    "2026-10-18": { bed: "00:00", wake: "07:00" }, // 7 h
+    "2026-10-17": { bed: "22:00", wake: "07:00" }, // 9 h repays 1
+    "2026-10-16": { bed: "", wake: "07:00" },      // unusable, skipped
+    "2026-10-01": { bed: "20:00", wake: "07:00" }, // outside 7 nights
+  };
+  assert.deepEqual(sleepDebt(log, 8, "2026-10-19"), { debtH: 2, avgH: 7.3, nights: 3 });
+  assert.deepEqual(sleepDebt({ "2026-10-19": { bed: "21:00", wake: "07:00" } }, 8, "2026-10-19"), { debtH: 0, avgH: 10, nights: 1 });
+  assert.equal(sleepDebt({}, 8, "2026-10-19"), null);
+});
+
+test("sleep schedule from the chronotype anchor, debt payback and a wake override", () => {
+  assert.deepEqual(sleepSchedule({ chronotype: "bear", sleepH: 8 }), {
+    wake: "07:00", wakeWindow: ["06:30", "07:30"], bed: "22:40", paybackMin: 0,
+    windDown: "21:55", screensOff: "21:40", caffeineCutoff: "14:40",
+  });
+  const indebted = sleepSchedule({ chronotype: "bear", sleepH: 8, debtH: 7 });
+  assert.equal(indebted.bed, "22:10");
+  assert.equal(indebted.paybackMin, 30);
+  assert.equal(sleepSchedule({ chronotype: "dolphin", sleepH: 8 }).caffeineCutoff, "12:10");
+  assert.equal(sleepSchedule({ chronotype: "lion", sleepH: 8, wake: "06:00" }).bed, "21:40");
+  assert.equal(sleepSchedule({ chronotype: "unknown", sleepH: 8, wake: "" }).wake, "07:00");
+});
+
+test("session hydration: before/during/after fluid and sodium", () => {
+  assert.deepEqual(sessionHydration({ minutes: 60, weightKg: 70 }), {
+    sweatLph: 1, sweatMl: 1000,
+    before: { ml: 400, sodiumMg: 400 },
+    during: { ml: 700, mlPerH: 700, sodiumMg: 700 },
+    after: { ml: 450, sodiumMg: 300 },
+    lossPctIfDry: 1.4,
+  });
+  // cool-weather test scaled to a hot session; drinking capped at 1 L/h; salty sweat
+  const hot = sessionHydration({ minutes: 90, weightKg: 80, sweatLph: 1.2, testHeat: "cool", heat: "hot", sodiumMgPerL: 1500 });
+  assert.equal(hot.sweatLph, 1.95);
+  assert.equal(hot.sweatMl, 2925);
+  assert.deepEqual(hot.before, { ml: 500, sodiumMg: 750 });
+  assert.deepEqual(hot.during, { ml: 1500, mlPerH: 1000, sodiumMg: 2250 });
+  assert.deepEqual(hot.after, { ml: 2150, sodiumMg: 2150 });
+  assert.equal(hot.lossPctIfDry, 3.7);
+});
+
+test("session hydration: short, empty and weightless sessions", () => {
+  const short = sessionHydration({ minutes: 30, weightKg: 70 });
+  assert.deepEqual(short.during, { ml: 0, mlPerH: 0, sodiumMg: 0 });
+  assert.equal(short.after.ml, 750);
+  const none = sessionHydration({ minutes: 0, weightKg: 0 });
+  assert.equal(none.sweatMl, 0);
+  assert.deepEqual(none.during, { ml: 0, mlPerH: 0, sodiumMg: 0 });
+  assert.equal(none.before.ml, 0);
+  assert.equal(none.lossPctIfDry, null);
+});
+
+test("exposure safety flags", () => {
+  assert.deepEqual(exposureSafety({ age: 30 }), []);
+  assert.deepEqual(exposureSafety({ age: 30, rhrDelta: 12 }).map((f) => f.level), ["stop"]);
+  assert.deepEqual(exposureSafety({ age: 30, restingHr: 100 }).map((f) => f.level), ["stop"]);
+  assert.match(exposureSafety({ age: 55 })[0].text, /^50\+/);
+  assert.match(exposureSafety({ age: 70 })[0].text, /^65\+/);
+  assert.equal(exposureSafety({ age: 70 }).length, 1);
+  assert.deepEqual(exposureSafety({ age: 30, readiness: 20 }).map((f) => f.level), ["caution"]);
+});
+
+test("logged session type: lifting, then hard work, then Zone 2", () => {
+  assert.equal(loggedSessionType([]), null);
+  assert.equal(loggedSessionType(undefined), null);
+  assert.equal(loggedSessionType([{ modality: "run", zoneMin: [0, 40, 0, 0, 0] }]), "z2");
+  assert.equal(loggedSessionType([{ modality: "bike", zoneMin: [5, 20, 5, 8, 2] }]), "hiit");
+  assert.equal(loggedSessionType([{ modality: "row", zoneMin: [], intervals: 6 }]), "hiit");
+  assert.equal(loggedSessionType([{ modality: "run", intervals: 6 }, { modality: "strength", zoneMin: [] }]), "strength");
+});
+
+test("cold plan by session, phase, age and safety", () => {
+  const lifting = coldPlan({ tier: "build", sessionType: "strength" });
+  assert.equal(lifting.recommend, false);
+  assert.equal(lifting.minutes, 0);
+  assert.match(lifting.why, /blunts muscle gain/);
+  assert.equal(coldPlan({ tier: "build", sessionType: "z2", mode: "bulking" }).recommend, false);
+  const sore = coldPlan({ tier: "build", sessionType: "strength", soreness: 4 });
+  assert.equal(sore.recommend, true);
+  assert.equal(sore.minutes, 4);
+  assert.deepEqual(coldPlan({ tier: "build", sessionType: "hiit" }), {
+    recommend: true, tempC: 14, tempRange: [9, 14], minutes: 4,
+    timing: "0–60 min after the session, or later in the day.", why: "Hard conditioning: cold speeds turnaround for the next session.",
+  });
+  assert.equal(coldPlan({ tier: "build", sessionType: "recovery" }).minutes, 2);
+  const luteal = coldPlan({ tier: "perform", sessionType: "z2", gender: "female", phase: "luteal" });
+  assert.deepEqual([luteal.tempC, luteal.minutes, luteal.tempRange], [15, 4, [7, 15]]);
+  const older = coldPlan({ tier: "build", sessionType: "z2", age: 70 });
+  assert.deepEqual([older.tempC, older.minutes], [15, 2]);
+  const stopped = coldPlan({ sessionType: "z2", flags: [{ level: "stop" }] });
+  assert.deepEqual([stopped.recommend, stopped.minutes, stopped.why], [false, 0, "Safety stop today."]);
+});
+
+test("sauna plan shortens for readiness, luteal phase and age; stops on a safety flag", () => {
+  assert.equal(saunaPlan({}).minutes, 20);
+  assert.match(saunaPlan({ sessionType: "strength" }).why, /after lifting/);
+  assert.equal(saunaPlan({ readiness: 40 }).minutes, 10);
+  assert.equal(saunaPlan({ gender: "female", phase: "luteal" }).minutes, 15);
+  assert.equal(saunaPlan({ age: 70 }).minutes, 10);
+  assert.deepEqual([saunaPlan({ flags: [{ level: "stop" }] }).recommend, saunaPlan({ flags: [{ level: "stop" }] }).minutes], [false, 0]);
+});
+
+test("reminder schedule for a default day", () => {
+  const day = reminderSchedule({ wake: "06:30", bed: "22:30", liters: 2, session: "Zone 2 40 min" });
+  assert.deepEqual(day.map(r => [r.cat, r.at]), [
+    ["checkin", "07:00"], ["hydration", "07:30"], ["hydration", "12:00"], ["hydration", "16:30"],
+    ["session", "17:00"], ["hydration", "21:00"], ["winddown", "21:45"],
+  ]);
+  assert.deepEqual(day.filter(r => r.cat === "hydration").map(r => r.cumMl), [500, 1000, 1500, 2000]);
+  assert.equal(day.find(r => r.cat === "winddown").body, "Lights low, screens away: bed at 22:30.");
+  assert.deepEqual(reminderSchedule({ wake: "", bed: "22:30", liters: 2 }), []);
+});
+
+test("reminder schedule: settings, quiet hours and the check-in fallback", () => {
+  const base = { wake: "06:30", bed: "22:30", liters: 2, session: null };
+  const quiet = reminderSchedule({ ...base, settings: { quiet: { start: "20:00", end: "06:00" }, checkin: { at: "05:00" } } });
+  assert.deepEqual(quiet.map(r => [r.cat, r.at, !!r.moved]), [
+    ["checkin", "06:00", true], // early in the quiet window: moves to its end
+    ["hydration", "07:30", false], ["hydration", "12:00", false], ["hydration", "16:30", false], // 21:00 is dropped
+    ["winddown", "19:55", true], // nearer the start: moves just before it
+  ]);
+  const off = reminderSchedule({ ...base, session: "HIIT", settings: { hydration: { on: false }, winddown: { on: false }, checkin: { at: "7" }, session: { at: "06:45" } } });
+  assert.deepEqual(off.map(r => [r.cat, r.at]), [["session", "06:45"], ["checkin", "07:00"]]); // an unparseable time falls back to wake + 30
+});
@@ -0,0 +1,711 @@
+// GENERATED by scripts/build.js from the_tungsten_standard_engine.js: edit that file, then run `npm run build`.
+(function (root) {
+"use strict";
+// =============================================================
+// THE TUNGSTEN STANDARD — Calculation Engine
+// =============================================================
+// Framework-free formulas shared by the React app and the HTML (PWA) build,
+// so a prescription is identical whichever one an athlete opens.
+// - Energy: Mifflin-St Jeor BMR, activity TDEE, cut/gain target, macros
+// - Nutrition strategy: protein per kg or per lb lean mass, fat %, carb cycling by session
+// - Adaptive TDEE: trend weight, energy-balance TDEE, kcal for a weekly rate, goal date
+// - Menstrual-phase adjustments (kcal, water, sleep, training bias) and cycle tracking (phase from period log)
+// - VO₂ estimators (HR ratio, Cooper, Rockport, 1.5-mile, step, submax), HRmax, Karvonen zones, cardio tier
+// - VO₂ age/sex classification (Cooper Institute norms) and fitness age
+// - Periodization: weekly session calendar and 4-week block with a deload
+// - Recorded sessions: time in zone and best 12-min distance from HR/GPS tracks
+// - Daily water / sodium / sleep / fiber / carb-timing targets
+// - Sweat-rate test and per-session before/during/after fluid + sodium plan
+// - Readiness: check-in + sleep debt + resting-HR drift + soreness → adjusted cardio for the day
+// - Cold plunge and sauna protocols by session, phase and readiness, with safety stops
+// - Sleep: duration from bed/wake, 7-night debt, chronotype schedule with caffeine/screen cutoffs
+// - Reminders: check-in, hydration, wind-down and session nudges for a day, honoring quiet hours
+// - Seeded shuffles so day-stable picks (meal plans, libraries) match across devices
+// - Backups: envelope, schema check and the HTML build state ↔ ts_* profile mapping
+// Plain ES module: no DOM, no storage, no React.
+// =============================================================
+
+// ------------------- helpers -------------------
+const cmFromInches = (ft, inches) => (Number(ft) * 12 + Number(inches)) * 2.54;
+const kgFromLbs = (lbs) => Number(lbs) * 0.45359237;
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const round = (x, p = 0) => Math.round(x * 10 ** p) / 10 ** p;
+// "YYYY-MM-DD" of a moment in the device's time zone: the day the athlete lived it
+// (toISOString gives the UTC day, which is tomorrow for evening entries west of UTC)
+const localDay = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// Seeded randomness: the same seed string gives the same sequence on every device (mulberry32)
+function hashCode(s) { let h = 0; for (let i = 0; i < s.length; i++) { h = ((h << 5) - h) + s.charCodeAt(i); h |= 0; } return h; }
+function seededRandom(seed) {
+  let a = hashCode(String(seed)) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+function seededShuffle(arr, seed) {
+  const rnd = seededRandom(seed), out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) { const j = Math.floor(rnd() * (i + 1)); [out[i], out[j]] = [out[j], out[i]]; }
+  return out;
+}
+
+// "heavy" is the HTML build's name for "active"
+const ACTIVITY = { sedentary: 1.2, light: 1.375, moderate: 1.55, active: 1.725, heavy: 1.725, athlete: 1.9 };
+
+// ------------------- physiology core -------------------
+function bmrMSJ({ gender, age, heightCm, weightKg }) {
+  if (!gender || !age || !heightCm || !weightKg) return 0;
+  const sex = gender === "female" ? -161 : 5;
+  return 10 * weightKg + 6.25 * heightCm - 5 * age + sex;
+}
+const tdeeFrom = (bmr, activity) => Math.round(bmr * (ACTIVITY[activity]||1.55));
+function targetCalories({ tdee, weightKg, goalWeightKg, cutPct = 0.18, gainPct = 0.10 }) {
+  if (!tdee || !weightKg || !goalWeightKg) return tdee;
+  const delta = goalWeightKg - weightKg;
+  if (Math.abs(delta) < 2) return tdee;
+  if (delta < 0) return Math.round(tdee * (1 - cutPct)); // modest cut
+  return Math.round(tdee * (1 + gainPct)); // modest gain
+}
+// `proteinG` (e.g. from proteinTarget) overrides weight × proteinGPerKg
+function macrosFromCalories({ calories, weightKg, proteinGPerKg = 1.8, fatPct = 0.28, proteinG }) {
+  if (!calories || !weightKg) return { protein: 0, fat: 0, carbs: 0 };
+  const protein = Math.round(proteinG ?? weightKg * proteinGPerKg);
+  const fat = Math.round((calories * fatPct) / 9);
+  const carbs = Math.max(0, Math.round((calories - protein*4 - fat*9) / 4));
+  return { protein, fat, carbs };
+}
+// ------------------- adaptive TDEE -------------------
+const KCAL_PER_KG = 7700; // energy in 1 kg of body-weight change
+// Exponentially smoothed trend weight (α 0.1 per day, as in the Hacker's Diet); unweighed
+// days carry the trend forward. weighIns: [{ d, kg }] → [{ d, kg, trend }]
+function trendWeights(weighIns, alpha = 0.1) {
+  const sorted = [...(weighIns || [])].filter(w => w.kg > 0).sort((a, b) => a.d.localeCompare(b.d));
+  let trend = null, prev = null;
+  return sorted.map(w => {
+    const gap = prev ? Math.max(1, Math.round((Date.parse(w.d) - Date.parse(prev)) / 864e5)) : 1;
+    trend = trend == null ? w.kg : trend + (1 - (1 - alpha) ** gap) * (w.kg - trend);
+    prev = w.d;
+    return { ...w, trend: round(trend, 2) };
+  });
+}
+// Energy balance over the last `days` (14–28 useful): TDEE = mean intake − Δtrend × 7700 / span.
+// intake: [{ d, kcal }] for logged days. Needs ≥14 days of trend and intake on ≥ half the days.
+function adaptiveTdee({ intake, trend, days = 21 }) {
+  if (!trend?.length) return null;
+  const end = trend[trend.length - 1].d, start = new Date(Date.parse(end) - days * 864e5).toISOString().slice(0, 10);
+  const first = trend.find(t => t.d >= start), span = Math.round((Date.parse(end) - Date.parse(first.d)) / 864e5);
+  const eaten = (intake || []).filter(x => x.d > first.d && x.d <= end && x.kcal > 0);
+  if (span < 14 || eaten.length < span / 2) return null;
+  const avgIntake = eaten.reduce((s, x) => s + x.kcal, 0) / eaten.length;
+  const kgPerDay = (trend[trend.length - 1].trend - first.trend) / span;
+  return { tdee: Math.round(avgIntake - kgPerDay * KCAL_PER_KG), avgIntake: Math.round(avgIntake), kgPerWeek: round(kgPerDay * 7, 2), span, loggedDays: eaten.length };
+}
+// daily intake that changes weight by `kgPerWeek` (negative = loss)
+const kcalForRate = (tdee, kgPerWeek) => Math.round(tdee + kgPerWeek * KCAL_PER_KG / 7);
+// date trend weight reaches goal at `kgPerWeek`, or null if that rate never gets there
+function projectedGoalDate(fromKg, goalKg, kgPerWeek, from) {
+  const gap = goalKg - fromKg;
+  if (!fromKg || !goalKg || Math.abs(gap) < 0.1) return from;
+  if (!kgPerWeek || Math.sign(gap) !== Math.sign(kgPerWeek)) return null;
+  return new Date(Date.parse(from) + Math.ceil(gap / kgPerWeek * 7) * 864e5).toISOString().slice(0, 10);
+}
+
+// ------------------- nutrition strategy -------------------
+// model "kg": g per kg body weight · "lean_lb": g per lb of lean mass (needs bodyFatPct, a fraction)
+function proteinTarget({ model = "kg", perKg = 1.8, perLbLean = 1.0, weightKg, bodyFatPct }) {
+  if (model === "lean_lb" && bodyFatPct > 0 && bodyFatPct < 0.7) return Math.round(weightKg * (1 - bodyFatPct) / 0.45359237 * perLbLean);
+  return Math.round(weightKg * perKg);
+}
+// Carb cycling by the day's session: carbs move ±, fat moves the other way so kcal hold steady
+const CARB_DAYS = { hiit: "high", strength: "high", tempo: "moderate", z2: "moderate", recovery: "low" };
+const CARB_SHIFT = { high: 0.2, moderate: 0, low: -0.3 };
+function carbCycle(macros, kcal, dayType) {
+  const carbDay = CARB_DAYS[dayType] || "moderate";
+  const fatFloor = Math.round(kcal * 0.15 / 9);
+  const carbs = Math.max(0, Math.round(macros.carbs * (1 + CARB_SHIFT[carbDay])));
+  const fat = Math.max(fatFloor, Math.round(macros.fat - (carbs - macros.carbs) * 4 / 9));
+  return { carbDay, macros: { ...macros, carbs: fat === fatFloor ? Math.max(0, Math.round((kcal - macros.protein*4 - fat*9) / 4)) : carbs, fat } };
+}
+
+const nutritionMode = (kcal, tdee) => !tdee ? "maintenance" : kcal < tdee*0.95 ? "cutting" : kcal > tdee*1.05 ? "bulking" : "maintenance";
+
+// Menstrual phase adaptations ("ovulatory" is the HTML build's spelling)
+function cycleAdjust(phase) {
+  switch (phase) {
+    case "menstruation":
+      return { kcal: +100, waterMl: +300, sleepBonusH: 0.5, bias: "Deload/skill/Zone 2", micros: ["Iron + Vitamin C", "Omega-3", "Magnesium"] };
+    case "follicular":
+      return { kcal: 0, waterMl: 0, sleepBonusH: 0, bias: "Push strength/HIIT", micros: ["Creatine 3–5g", "Carbs around training"] };
+    case "ovulation":
+    case "ovulatory":
+      return { kcal: 0, waterMl: +150, sleepBonusH: 0, bias: "Peak power; protect joints", micros: ["Collagen + Vit C", "Electrolytes"] };
+    case "luteal":
+      return { kcal: +150, waterMl: +400, sleepBonusH: 0.5, bias: "Zone 2/tempo; manage heat", micros: ["Magnesium", "B6", "Electrolytes"] };
+    default:
+      return { kcal: 0, waterMl: 0, sleepBonusH: 0, bias: "Balanced", micros: [] };
+  }
+}
+const femaleAdjust = (gender, phase) => gender === "female" ? cycleAdjust(phase) : cycleAdjust();
+
+// ------------------- cycle tracking -------------------
+// log = { periods: [{ start, end? }], ovulations: [day] } with UTC "YYYY-MM-DD" days;
+// ovulations are optional (LH test / temperature shift) and only refine the luteal length.
+const DAY_MS = 864e5;
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS);
+const addDays = (day, n) => new Date(Date.parse(day) + n * DAY_MS).toISOString().slice(0, 10);
+const meanOr = (xs, fallback) => xs.length ? round(xs.reduce((s, x) => s + x, 0) / xs.length, 1) : fallback;
+
+// Averages over the last six cycles; 28/14/5 until there is history. Gaps outside 15–60 days
+// are treated as missed logs. "irregular" = recent lengths spread more than 7 days.
+function cycleStats({ periods = [], ovulations = [] } = {}) {
+  const starts = periods.map(p => p.start).sort();
+  const lengths = starts.slice(1).map((s, i) => daysBetween(starts[i], s)).filter(n => n >= 15 && n <= 60).slice(-6);
+  const luteals = ovulations.map(o => { const next = starts.find(s => s > o); return next ? daysBetween(o, next) : 0; }).filter(n => n >= 7 && n <= 20).slice(-6);
+  const bleeds = periods.filter(p => p.end).map(p => daysBetween(p.start, p.end) + 1).filter(n => n >= 1 && n <= 10).slice(-6);
+  return {
+    cycle: meanOr(lengths, 28), luteal: meanOr(luteals, 14), period: meanOr(bleeds, 5), cycles: lengths.length,
+    irregular: lengths.length >= 2 && Math.max(...lengths) - Math.min(...lengths) > 7, lastStart: starts[starts.length - 1] || null,
+  };
+}
+// Phase on `day` counted from the latest logged start on or before it. Past the expected
+// cycle length the count wraps onto predicted cycles (`predicted: true`).
+function cyclePhaseOn(day, log, stats = cycleStats(log)) {
+  const start = (log?.periods || []).map(p => p.start).filter(s => s <= day).sort().pop();
+  if (!start) return null;
+  const cycleLen = Math.round(stats.cycle), elapsed = daysBetween(start, day);
+  const cycleDay = (elapsed % cycleLen) + 1, ovDay = Math.round(stats.cycle - stats.luteal);
+  const phase = cycleDay <= Math.round(stats.period) ? "menstruation"
+    : cycleDay < ovDay - 1 ? "follicular"
+    : cycleDay <= ovDay + 1 ? "ovulation" : "luteal";
+  return { phase, cycleDay, predicted: elapsed >= cycleLen };
+}
+// Upcoming phases as [{ phase, start, end }] for the next `days` days from `from`
+function cycleForecast(from, log, days = 42) {
+  const stats = cycleStats(log), out = [];
+  for (let i = 0; i < days; i++) {
+    const day = addDays(from, i), p = cyclePhaseOn(day, log, stats);
+    if (!p) return [];
+    const last = out[out.length - 1];
+    if (last && last.phase === p.phase) last.end = day;
+    else out.push({ phase: p.phase, start: day, end: day });
+  }
+  return out;
+}
+
+// ------------------- VO₂ hub -------------------
+// Tanaka HRmax default; allow override
+const hrMaxAuto = (age) => Math.round(208 - 0.7 * age);
+const resolveHrMax = (age, override) => Number(override) > 0 ? Number(override) : hrMaxAuto(Number(age));
+// Uth (2004): VO₂max ≈ 15.3 × (HRmax / HRrest)
+const vo2Uth = (hrMax, hrRest) => (hrMax && hrRest) ? round(15.3 * (hrMax / hrRest), 1) : 0;
+// Cooper 12-min test: VO₂max = (meters - 504.9) / 44.73
+const vo2Cooper = (meters) => meters ? round((meters - 504.9) / 44.73, 1) : 0;
+// Clinical field tests; each returns 0 when inputs are missing or out of range
+const positiveVo2 = (x) => Number.isFinite(x) && x > 0 ? round(x, 1) : 0;
+// Rockport 1-mile walk (Kline 1987): weight in lb, time in minutes, HR at the finish
+const vo2Rockport = ({ weightLb, age, gender, minutes, hr }) => (weightLb && age && minutes && hr)
+  ? positiveVo2(132.853 - 0.0769*weightLb - 0.3877*age + 6.315*(gender==="female"?0:1) - 3.2649*minutes - 0.1565*hr) : 0;
+// 1.5-mile run (ACSM): VO₂max = 3.5 + 483 / minutes
+const vo2Run15 = (minutes) => minutes > 0 ? positiveVo2(3.5 + 483/minutes) : 0;
+// 3-min step test, McArdle (Queens College) equation; recoveryHr = 15-s count 5–20 s after × 4
+const vo2Step = ({ gender, recoveryHr }) => recoveryHr > 0
+  ? positiveVo2(gender==="female" ? 65.81 - 0.1847*recoveryHr : 111.33 - 0.42*recoveryHr) : 0;
+// Submax: ACSM walking (< 134 m/min) or running equation at a steady pace, extrapolated
+// to HRmax assuming %HRR ≈ %VO₂R (Swain)
+function vo2Submax({ speedMMin, gradePct = 0, hr, hrRest, hrMax }) {
+  if (!speedMMin || !hr || !hrRest || !hrMax || hr <= hrRest) return 0;
+  const g = gradePct / 100;
+  const vo2 = speedMMin < 134 ? 0.1*speedMMin + 1.8*speedMMin*g + 3.5 : 0.2*speedMMin + 0.9*speedMMin*g + 3.5;
+  return positiveVo2(3.5 + (vo2 - 3.5) * (hrMax - hrRest) / (hr - hrRest));
+}
+// pace (minutes per km or per mile) → metres per minute
+const speedFromPace = (minutesPerUnit, unitMeters) => minutesPerUnit > 0 ? unitMeters / minutesPerUnit : 0;
+// ------------------- VO₂ norms -------------------
+// Cooper Institute cut-offs per sex and age band: the minimum VO₂ for Fair, Good, Excellent, Superior
+const VO2_CLASSIFICATION = {
+  male: { '18-25': [39, 44, 49, 54], '26-35': [36, 41, 46, 51], '36-45': [32, 37, 42, 47], '46-55': [29, 34, 38, 43], '56-65': [26, 31, 35, 40], '65+':   [23, 28, 32, 36] },
+  female: { '18-25': [33, 38, 43, 48], '26-35': [30, 35, 39, 44], '36-45': [27, 31, 36, 40], '46-55': [25, 29, 33, 37], '56-65': [22, 26, 30, 34], '65+':   [20, 24, 28, 31] }
+};
+const VO2_CATEGORIES = ['Poor', 'Fair', 'Good', 'Excellent', 'Superior'];
+function getAgeGroup(age) {
+  if (age <= 25) return '18-25';
+  if (age <= 35) return '26-35';
+  if (age <= 45) return '36-45';
+  if (age <= 55) return '46-55';
+  if (age <= 65) return '56-65';
+  return '65+';
+}
+const normsFor = (sex) => VO2_CLASSIFICATION[sex === 'female' ? 'female' : 'male'];
+function classifyVO2(vo2, sex, ageGroup) {
+  const thresholds = normsFor(sex)[ageGroup];
+  return VO2_CATEGORIES[thresholds.filter(t => vo2 >= t).length];
+}
+// Category plus the band's cut-offs, e.g. { category: "Good", band: "36-45", thresholds: [32, 37, 42, 47] }
+function vo2Rating(vo2, sex, age) {
+  const band = getAgeGroup(Number(age));
+  return { category: vo2 > 0 ? classifyVO2(vo2, sex, band) : null, band, thresholds: normsFor(sex)[band] };
+}
+// Fitness age: the age whose typical (middle of "Good") VO₂ matches this one, interpolated
+// between band mid-points and kept to 20–80
+const BAND_MID_AGE = { '18-25': 21.5, '26-35': 30.5, '36-45': 40.5, '46-55': 50.5, '56-65': 60.5, '65+': 70 };
+function fitnessAge(vo2, sex) {
+  if (!(vo2 > 0)) return 0;
+  const pts = Object.entries(normsFor(sex)).map(([band, t]) => [BAND_MID_AGE[band], (t[1] + t[2]) / 2]); // typical VO₂ falls with age
+  let i = pts.findIndex(([, v]) => vo2 >= v);
+  if (i <= 0) i = i < 0 ? pts.length - 1 : 1; // extrapolate off either end
+  const [[a0, v0], [a1, v1]] = [pts[i - 1], pts[i]];
+  return Math.round(clamp(a0 + (vo2 - v0) * (a1 - a0) / (v1 - v0), 20, 80));
+}
+
+// Karvonen zones; `hr` is the display string, bpmLo/bpmHi the same bounds as numbers
+const karvonenZones = (rest, max) => [
+  { name: "Z1 Recovery", lo: 0.5, hi: 0.6 },
+  { name: "Z2 Aerobic", lo: 0.6, hi: 0.7 },
+  { name: "Z3 Tempo", lo: 0.7, hi: 0.8 },
+  { name: "Z4 Threshold", lo: 0.8, hi: 0.9 },
+  { name: "Z5 VO₂/Speed", lo: 0.9, hi: 1.0 },
+].map(z => {
+  const bpmLo = Math.round(rest + z.lo*(max-rest)), bpmHi = Math.round(rest + z.hi*(max-rest));
+  return { ...z, bpmLo, bpmHi, hr: `${bpmLo}-${bpmHi} bpm` };
+});
+
+function cardioPlan(age, totalScore) {
+  const tier = totalScore <= 45 ? "rebuild" : totalScore <= 80 ? "build" : "perform";
+  const z2 = tier === "rebuild" ? 30 : tier === "build" ? 40 : 50; // daily minutes
+  const hard = tier === "rebuild" ? 4 : tier === "build" ? 6 : 8;  // x (1' on / 1' off)
+  return { tier, z2, hard: age >= 50 ? Math.max(3, hard-1) : hard };
+}
+// A week of the plan: HIIT twice, Zone 2 on the other five days
+const weeklyCardio = (plan) => ({ z2: plan.z2 * 5, hard: plan.hard * 2 });
+// index into karvonenZones for a heart rate; below Z1 counts as Z1, above HRmax as Z5
+const zoneIndexForHr = (hr, rest, max) => Math.max(0, karvonenZones(rest, max).findLastIndex(z => hr >= z.bpmLo));
+
+// ------------------- periodization -------------------
+// Mon–Sun session types per tier: HIIT twice and Zone 2 on the other five days (strength
+// days end with the Zone 2 block), so a loading week totals weeklyCardio(plan)
+const WEEK_TEMPLATES = {
+  rebuild: ["strength", "z2", "hiit", "recovery", "strength", "hiit", "z2"],
+  build:   ["strength", "hiit", "z2", "strength", "recovery", "hiit", "z2"],
+  perform: ["strength", "hiit", "z2", "strength", "hiit", "strength", "recovery"],
+};
+// three loading weeks, then a deload
+const MESO_WEEKS = [
+  { load: 1.0, strength: "3×8 @ RPE 7" },
+  { load: 1.1, strength: "4×8 @ RPE 7–8" },
+  { load: 1.2, strength: "4×6 @ RPE 8" },
+  { load: 0.6, strength: "2×8 @ RPE 6, technique", deload: true },
+];
+const by5 = (x) => Math.max(10, Math.round(x / 5) * 5);
+
+// cycleAdjust(phase).bias reshapes the hard days
+function phaseDay(day, phase) {
+  const { bias } = cycleAdjust(phase);
+  switch (phase) {
+    case "menstruation":
+      if (day.type === "hiit") return { type: "z2", z2: day.z2Alt, note: bias };
+      if (day.type === "strength") return { ...day, strength: "skill / technique only", note: bias };
+      return day;
+    case "follicular":
+      return day.type === "hiit" ? { ...day, hard: day.hard + 1, note: bias } : day.type === "strength" ? { ...day, note: bias } : day;
+    case "ovulation":
+    case "ovulatory":
+      return day.type === "strength" || day.type === "hiit" ? { ...day, note: `${bias}: extra 5′ warm-up` } : day;
+    case "luteal":
+      return day.type === "hiit" ? { type: "tempo", tempo: by5(day.hard * 2.5), note: bias } : day;
+    default:
+      return day;
+  }
+}
+// Seven days of { type, z2?, hard?, tempo?, strength?, note? } for one week of the block
+function trainingWeek(plan, { week = 0, gender, phase } = {}) {
+  const m = MESO_WEEKS[week] || MESO_WEEKS[0];
+  const z2 = by5(plan.z2 * m.load);
+  const days = (WEEK_TEMPLATES[plan.tier] || WEEK_TEMPLATES.build).map(type => {
+    if (type === "hiit") return { type, hard: Math.max(2, Math.round(plan.hard * m.load)), z2Alt: z2 };
+    if (type === "strength") return { type, strength: m.strength, z2 };
+    return { type, z2 };
+  });
+  return days.map(d => gender === "female" ? phaseDay(d, phase) : d).map(({ z2Alt, ...d }) => d);
+}
+// 4-week block; `phases[i]` is the expected cycle phase in week i (female athletes)
+const mesocycle = (plan, { gender, phases = [] } = {}) =>
+  MESO_WEEKS.map((m, i) => ({ deload: !!m.deload, days: trainingWeek(plan, { week: i, gender, phase: phases[i] }) }));
+
+// ------------------- recorded sessions -------------------
+// Track points are { t: seconds from start, hr?: bpm, dist?: cumulative metres }.
+const PAUSE_S = 60; // longer gaps between samples are treated as paused, not time in zone
+// great-circle distance in metres
+function haversineM(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180, dLat = (lat2 - lat1) * rad, dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat/2)**2 + Math.cos(lat1*rad) * Math.cos(lat2*rad) * Math.sin(dLon/2)**2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+// minutes in each Karvonen zone; each sample's HR holds until the next sample
+function hrZoneMinutes(points, rest, max) {
+  const out = [0, 0, 0, 0, 0];
+  for (let i = 0; i < points.length - 1; i++) {
+    const dt = points[i+1].t - points[i].t;
+    if (points[i].hr > 0 && dt > 0 && dt <= PAUSE_S) out[zoneIndexForHr(points[i].hr, rest, max)] += dt / 60;
+  }
+  return out.map(m => round(m, 1));
+}
+// furthest distance covered in any `seconds` window (default 12 min, for vo2Cooper); 0 if the track is shorter
+function bestDistance(points, seconds = 720) {
+  const pts = points.filter(p => Number.isFinite(p.dist));
+  let best = 0, j = 0;
+  for (let i = 0; i < pts.length; i++) {
+    while (j < pts.length && pts[j].t - pts[i].t < seconds) j++;
+    if (j >= pts.length) break;
+    const [a, b] = [pts[j-1], pts[j]], f = (pts[i].t + seconds - a.t) / (b.t - a.t);
+    best = Math.max(best, a.dist + (b.dist - a.dist) * f - pts[i].dist);
+  }
+  return Math.round(best);
+}
+
+// ------------------- hydration -------------------
+// Sweat rate from a weigh-in test: 1 kg of body mass lost ≈ 1 L of sweat. Weigh nude and towel-dry.
+function sweatRate({ preKg, postKg, fluidMl = 0, urineMl = 0, minutes }) {
+  if (!(preKg > 0) || !(postKg > 0) || !(minutes > 0)) return null;
+  const lossL = preKg - postKg + (Number(fluidMl)||0)/1000 - (Number(urineMl)||0)/1000;
+  if (lossL <= 0) return null;
+  return { lPerH: round(lossL / (minutes/60), 2), lossL: round(lossL, 2), massLossPct: round((preKg - postKg) / preKg * 100, 1) };
+}
+// sweat rises with heat; a test done in one condition is scaled to another
+const HEAT = { cool: 0.8, temperate: 1.0, hot: 1.3 };
+const DEFAULT_SWEAT_LPH = 1.0; // used until the athlete runs a test
+const sweatSodiumMgPerL = (salty) => salty ? 1500 : 1000;
+// Before/during/after plan for one session (ACSM/NATA style): 6 ml/kg beforehand, drink ~70% of sweat
+// during (max 1 L/h; skipped under 45 min), then 1.5× whatever deficit is left. Sodium tracks the fluid.
+function sessionHydration({ minutes, weightKg, sweatLph = DEFAULT_SWEAT_LPH, testHeat = "temperate", heat = "temperate", sodiumMgPerL = 1000 }) {
+  const hours = (Number(minutes)||0) / 60;
+  const rate = sweatLph * (HEAT[heat] || 1) / (HEAT[testHeat] || 1);
+  const sweatMl = rate * hours * 1000;
+  const duringMl = minutes >= 45 ? Math.min(1000 * hours, sweatMl * 0.7) : 0;
+  const afterMl = Math.max(0, sweatMl - duringMl) * 1.5;
+  const mg = (ml) => Math.round(ml / 1000 * sodiumMgPerL / 50) * 50;
+  const before = Math.round((Number(weightKg)||0) * 6 / 50) * 50;
+  return {
+    sweatLph: round(rate, 2), sweatMl: Math.round(sweatMl),
+    before: { ml: before, sodiumMg: mg(before) },
+    during: { ml: Math.round(duringMl / 50) * 50, mlPerH: hours ? Math.round(duringMl / hours / 50) * 50 : 0, sodiumMg: mg(duringMl) },
+    after: { ml: Math.round(afterMl / 50) * 50, sodiumMg: mg(afterMl / 1.5) }, // the extra 50% is urine, not sweat
+    // an unreplaced loss above 2% of body mass starts to cost performance
+    lossPctIfDry: weightKg ? round(sweatMl / 1000 / weightKg * 100, 1) : null,
+  };
+}
+
+// ------------------- sleep -------------------
+// Clock times are "HH:MM" strings; nights are keyed by the date you wake up.
+// Minutes since midnight, or null for anything else (a cleared time input gives "")
+const clockMin = (hhmm) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm ?? "");
+  return m && Number(m[1]) < 24 && Number(m[2]) < 60 ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+const clockStr = (min) => { const m = ((Math.round(min) % 1440) + 1440) % 1440; return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`; };
+// hours asleep between bed and wake (crosses midnight when wake is earlier on the clock);
+// null when either time is missing or they are equal
+function sleepDuration(bed, wake) {
+  const b = clockMin(bed), w = clockMin(wake);
+  if (b == null || w == null || b === w) return null;
+  return round((((w - b) % 1440) + 1440) % 1440 / 60, 2);
+}
+// net shortfall against the target over the last `days` nights ending `end`; long nights repay debt
+function sleepDebt(log, targetH, end, days = 7) {
+  const nights = [];
+  for (let i = 0; i < days; i++) {
+    const d = addDays(end, -i), e = log[d];
+    const h = e && sleepDuration(e.bed, e.wake);
+    if (h != null) nights.push({ d, h });
+  }
+  if (!nights.length) return null;
+  const net = nights.reduce((s, n)=> s + targetH - n.h, 0);
+  return { debtH: round(Math.max(0, net), 1), avgH: round(nights.reduce((s, n)=> s + n.h, 0) / nights.length, 1), nights: nights.length };
+}
+// Breus chronotypes: natural wake anchor and how early caffeine should stop (hours before bed)
+const CHRONOTYPES = {
+  lion: { label: "Lion", wake: "05:45", caffeineH: 8, note: "Early riser, fades by evening: train morning to midday." },
+  bear: { label: "Bear", wake: "07:00", caffeineH: 8, note: "Follows the sun: hardest work late morning, train early afternoon." },
+  wolf: { label: "Wolf", wake: "07:30", caffeineH: 8, note: "Slow mornings, peaks late: train afternoon/evening, get morning light." },
+  dolphin: { label: "Dolphin", wake: "06:30", caffeineH: 10, note: "Light, anxious sleeper: strict routine, early caffeine cut, cool dark room." },
+};
+// Consistent schedule: bedtime = wake − (target + some debt payback) − ~20 min to fall asleep.
+// `wake` overrides the chronotype anchor (e.g. morning practice).
+function sleepSchedule({ chronotype = "bear", sleepH, debtH = 0, wake }) {
+  const type = CHRONOTYPES[chronotype] || CHRONOTYPES.bear;
+  const wakeMin = clockMin(wake) ?? clockMin(type.wake);
+  const payback = clamp(debtH / 7, 0, 0.5); // repay across the week, at most 30 min a night
+  const bedMin = Math.round((wakeMin - (sleepH + payback) * 60 - 20) / 5) * 5;
+  return {
+    wake: clockStr(wakeMin), wakeWindow: [clockStr(wakeMin - 30), clockStr(wakeMin + 30)], bed: clockStr(bedMin), paybackMin: Math.round(payback * 60),
+    windDown: clockStr(bedMin - 45), screensOff: clockStr(bedMin - 60), caffeineCutoff: clockStr(bedMin - type.caffeineH * 60),
+  };
+}
+
+// ------------------- readiness -------------------
+// Today's resting HR (or yesterday's) against the mean of the previous `days` days (needs 3+ readings)
+function restingHrDeviation(series, day, days = 28) {
+  const latest = [...series].reverse().find(p=> p.d <= day && daysBetween(p.d, day) <= 1);
+  if (!latest) return null;
+  const prior = series.filter(p=> p.d < latest.d && daysBetween(p.d, latest.d) <= days).map(p=> Number(p.v));
+  if (prior.length < 3) return null;
+  const baseline = round(prior.reduce((s, v)=> s + v, 0) / prior.length, 1);
+  return { today: Number(latest.v), baseline, delta: round(latest.v - baseline, 1) };
+}
+// 0–100 blend of the day's 21-question total, 7-night sleep debt, resting-HR rise and soreness (1–5).
+// Missing inputs drop out and the remaining weights are rescaled, so a check-in alone still scores.
+const READINESS_WEIGHTS = { checkin: 0.4, sleep: 0.25, rhr: 0.2, soreness: 0.15 };
+const READINESS_BANDS = [[85, "Primed"], [70, "Ready"], [50, "Moderate"], [30, "Low"], [0, "Very Low"]]; // same cut-offs as the HTML build
+function readinessScore({ total, sleepDebtH, rhrDelta, soreness }) {
+  const parts = [];
+  if (total) parts.push({ key: "checkin", score: clamp((total - 21) / 84 * 100, 0, 100) });
+  if (sleepDebtH != null) parts.push({ key: "sleep", score: clamp(100 - sleepDebtH * 15, 0, 100) }); // −15 per hour owed
+  if (rhrDelta != null) parts.push({ key: "rhr", score: clamp(100 - Math.max(0, rhrDelta) * 12, 0, 100) }); // −12 per bpm above baseline
+  if (soreness) parts.push({ key: "soreness", score: (5 - soreness) / 4 * 100 });
+  if (!parts.length) return null;
+  const sumW = parts.reduce((s, p)=> s + READINESS_WEIGHTS[p.key], 0);
+  const score = Math.round(parts.reduce((s, p)=> s + p.score * READINESS_WEIGHTS[p.key], 0) / sumW);
+  return {
+    score, label: READINESS_BANDS.find(([min])=> score >= min)[1],
+    parts: parts.map(p=> ({ ...p, score: Math.round(p.score), weight: round(READINESS_WEIGHTS[p.key] / sumW, 2) })),
+  };
+}
+// cardioPlan for the day: Moderate trims intervals, Low swaps them for Zone 2, Very Low also shortens Zone 2
+function adjustedCardioPlan(plan, readiness) {
+  const score = readiness?.score ?? 100;
+  if (score >= 70) return { ...plan, change: null };
+  if (score >= 50) {
+    const hard = Math.max(3, plan.hard - 2);
+    return { ...plan, hard, change: hard < plan.hard ? "trim" : null }; // already at the floor: nothing to trim
+  }
+  if (score >= 30) return { ...plan, hard: 0, change: "z2" };
+  return { ...plan, hard: 0, z2: Math.round(plan.z2 * 2 / 3), change: "recovery" };
+}
+// The same adjustment applied to one trainingWeek day; `from` keeps the planned session
+function adjustedSession(session, readiness, plan) {
+  if (!session) return session;
+  const day = adjustedCardioPlan(plan, readiness);
+  if (!day.change || session.type === "recovery") return session;
+  if (day.change === "recovery") return { type: "recovery", z2: day.z2, from: session, change: day.change };
+  if (day.change === "z2" && ["hiit", "tempo"].includes(session.type)) return { type: "z2", z2: day.z2, from: session, change: day.change };
+  if (day.change === "trim" && session.type === "hiit") return { ...session, hard: Math.min(session.hard, day.hard), from: session, change: day.change };
+  if (day.change === "trim" && session.type === "tempo") return { ...session, tempo: Math.round(session.tempo * 0.75), from: session, change: day.change };
+  if (session.type === "strength") return { ...session, note: "cut volume 25–40%, keep the weights", from: session, change: day.change };
+  return session;
+}
+
+// ------------------- cold & heat -------------------
+// Weekly dose targets (Søberg 2021 for cold, Laukkanen cohort for sauna), in minutes
+const EXPOSURE_TARGETS = { cold: 11, sauna: 60 };
+// cold water by tier (°C range, minutes range), matching the Recovery tab's original table
+const COLD_TIERS = { rebuild: { tempC: [10, 15], minutes: [1, 2] }, build: { tempC: [9, 14], minutes: [2, 4] }, perform: { tempC: [7, 13], minutes: [3, 5] } };
+// Flags that stop or soften a protocol. `stop` blocks it for the day.
+function exposureSafety({ age, restingHr, rhrDelta, readiness }) {
+  const flags = [];
+  if (rhrDelta != null && rhrDelta >= 10) flags.push({ level: "stop", text: `Resting HR is ${rhrDelta} bpm above baseline: possible illness or overreaching, skip cold and heat today.` });
+  if (restingHr >= 100) flags.push({ level: "stop", text: "Resting HR ≥ 100 bpm: no cold or heat until it's checked." });
+  if (age >= 65) flags.push({ level: "caution", text: "65+: get medical clearance; use the warm end of the range and half the time." });
+  else if (age >= 50) flags.push({ level: "caution", text: "50+: cold shock raises blood pressure sharply, so enter slowly and never plunge alone." });
+  if (readiness != null && readiness < 30) flags.push({ level: "caution", text: "Very low readiness: keep any exposure short and gentle." });
+  return flags;
+}
+// trainingWeek type of what was actually done today, from logged workouts ({ modality, zoneMin,
+// intervals }): any lifting makes it a strength day, intervals or Z4–5 minutes a hard day, else
+// Zone 2. null when nothing is logged, so callers fall back to the planned session.
+function loggedSessionType(workouts) {
+  if (!workouts?.length) return null;
+  if (workouts.some(w => w.modality === "strength")) return "strength";
+  if (workouts.some(w => Number(w.intervals) > 0 || (w.zoneMin || []).slice(3).some(m => Number(m) > 0))) return "hiit";
+  return "z2";
+}
+// Cold for today's session. sessionType is a trainingWeek type; strength days count as hypertrophy
+// (cold within ~6 h blunts the adaptation). Luteal phase: +2 °C and a minute shorter.
+function coldPlan({ tier = "build", sessionType, mode, readiness, soreness, gender, phase, age, flags = [] }) {
+  const base = COLD_TIERS[tier] || COLD_TIERS.build;
+  let tempC = base.tempC[1], minutes = base.minutes[1], recommend = true, timing, why;
+  if (sessionType === "strength" || mode === "bulking") {
+    recommend = soreness >= 4 || (readiness != null && readiness < 50);
+    timing = "Not within 6 h of lifting: next morning or on a non-lifting day.";
+    why = recommend ? "Growth focus, but soreness/fatigue is high: a delayed plunge helps you recover." : "Growth focus: cold right after hypertrophy work blunts muscle gain.";
+  } else if (sessionType === "hiit" || sessionType === "tempo") {
+    timing = "0–60 min after the session, or later in the day.";
+    why = "Hard conditioning: cold speeds turnaround for the next session.";
+  } else if (sessionType === "recovery") {
+    minutes = base.minutes[0];
+    timing = "Any time, earlier in the day.";
+    why = "Recovery day: short, moderate cold.";
+  } else {
+    timing = "After Zone 2 or on its own, earlier in the day.";
+    why = "Zone 2 doesn't need protecting; cold is fine.";
+  }
+  if (gender === "female" && phase === "luteal") { tempC += 2; minutes = Math.max(1, minutes - 1); why += " Luteal: warmer and shorter (higher core temperature)."; }
+  if (age >= 65) { tempC = Math.max(tempC, 15); minutes = Math.max(1, Math.round(minutes / 2)); }
+  if (flags.some(f=> f.level === "stop")) { recommend = false; why = "Safety stop today."; }
+  return { recommend, tempC, tempRange: [Math.min(tempC, base.tempC[0]), tempC], minutes: recommend ? minutes : 0, timing, why };
+}
+// Sauna: 80–90 °C for 15–20 min, shorter when readiness is low, in the luteal phase or at 65+.
+// Heat doesn't blunt strength gains, so it's the default after lifting.
+function saunaPlan({ sessionType, readiness, gender, phase, age, flags = [] }) {
+  let minutes = 20, why = sessionType === "strength" ? "Heat after lifting is fine and aids relaxation." : "Heat supports cardiovascular fitness and sleep.";
+  if (readiness != null && readiness < 50) { minutes = 10; why += " Low readiness: a short session only."; }
+  if (gender === "female" && phase === "luteal") { minutes = Math.min(minutes, 15); why += " Luteal: cap at 15 min."; }
+  if (age >= 65) minutes = Math.min(minutes, 10);
+  const stop = flags.some(f=> f.level === "stop");
+  return { recommend: !stop, tempC: [80, 90], minutes: stop ? 0 : minutes, timing: "Later in the day, 1–2 h before bed at the latest; drink 500 ml after.", why: stop ? "Safety stop today." : why };
+}
+
+// ------------------- reminders -------------------
+// Local nudges for one day. Check-in "" = 30 min after wake; hydration glasses are spread
+// from an hour after wake to 90 min before bed; wind-down fires `leadMin` before bed.
+const REMINDER_DEFAULTS = {
+  checkin: { on: true, at: "" },
+  hydration: { on: true, glassMl: 500 },
+  winddown: { on: true, leadMin: 45 },
+  session: { on: true, at: "17:00" },
+  quiet: { start: "22:30", end: "06:00" },
+};
+const REMINDER_LABELS = { checkin: "Morning check-in", hydration: "Hydration", winddown: "Wind-down", session: "Training session" };
+// minutes into [start, end) when t falls in the (possibly overnight) window, else null
+const quietElapsed = (t, start, end) => {
+  const span = ((end - start) + 1440) % 1440, since = ((t - start) + 1440) % 1440;
+  return span && since < span ? { since, left: span - since } : null;
+};
+// Quiet hours drop hydration prompts; anything else moves to the nearer edge of the window.
+function reminderSchedule({ wake, bed, liters, session, settings = {} }) {
+  const cfg = (cat) => ({ ...REMINDER_DEFAULTS[cat], ...settings[cat] });
+  const wakeMin = clockMin(wake), bedMin = clockMin(bed);
+  if (wakeMin == null || bedMin == null) return [];
+  const awake = ((bedMin - wakeMin) + 1440) % 1440;
+  const out = [];
+  const add = (cat, i, min, title, body, extra) => out.push({ id: `${cat}-${i}`, cat, min: ((Math.round(min) % 1440) + 1440) % 1440, title, body, ...extra });
+  const at = (cat, fallback) => cfg(cat).at ? clockMin(cfg(cat).at) ?? fallback : fallback;
+  if (cfg("checkin").on) add("checkin", 0, at("checkin", wakeMin + 30), "Morning check-in", "21 questions, 2 minutes: today's targets depend on it.");
+  const h = cfg("hydration");
+  if (h.on && liters > 0) {
+    const glass = Math.max(100, Number(h.glassMl) || 500);
+    const n = clamp(Math.round(liters * 1000 / glass), 1, 16), from = wakeMin + 60, span = Math.max(60, awake - 150);
+    for (let i = 0; i < n; i++) {
+      const cumMl = Math.round(liters * 1000 * (i + 1) / n);
+      add("hydration", i, from + (n > 1 ? span * i / (n - 1) : 0), "Drink water", `Glass ${i + 1}/${n}: ~${Math.round(liters * 1000 / n)} ml, ${round(cumMl / 1000, 1)} of ${liters} L by now.`, { cumMl });
+    }
+  }
+  if (cfg("winddown").on) add("winddown", 0, bedMin - cfg("winddown").leadMin, "Wind down", `Lights low, screens away: bed at ${bed}.`);
+  if (cfg("session").on && session) add("session", 0, at("session", 17 * 60), "Today's session", session);
+  const qs = clockMin(settings.quiet?.start ?? REMINDER_DEFAULTS.quiet.start), qe = clockMin(settings.quiet?.end ?? REMINDER_DEFAULTS.quiet.end);
+  return out.flatMap(r=> {
+    const q = qs != null && qe != null && quietElapsed(r.min, qs, qe);
+    if (!q) return [r];
+    if (r.cat === "hydration") return [];
+    const min = q.since <= q.left ? (qs - 5 + 1440) % 1440 : qe;
+    return [{ ...r, min, moved: true }];
+  }).map(r=> ({ ...r, at: clockStr(r.min) })).sort((a, b)=> a.min - b.min);
+}
+
+// ------------------- daily targets -------------------
+// 35 ml/kg + 8 ml per Zone 2 minute beyond 30, plus any cycle-phase extra
+const waterTargetMl = ({ weightKg, z2, extraMl = 0 }) => Math.round((Number(weightKg)||0)*35 + Math.max(0, z2-30)*8) + extraMl;
+const sodiumTargetMg = ({ z2 }) => clamp(1800 + Math.max(0, z2-60)*3, 1500, 4000);
+// sleepScore / stressScore are 1–5 answers; a low score buys an extra half hour each
+const sleepTargetH = ({ sleepScore, stressScore, bonusH = 0 }) =>
+  clamp(round(7.5 + (sleepScore<=2?0.5:0) + (stressScore<=2?0.5:0) + bonusH, 1), 7, 9.5);
+const fiberTargetG = (kcal) => Math.round((kcal/1000) * 14);
+const proteinPerMeal = (proteinG, meals = 3) => Math.max(20, Math.round(proteinG / meals));
+// ~25% of daily carbs either side of training; follicular phase gets 10% more
+const carbTiming = ({ carbs, gender, phase }) => {
+  const pre = Math.round(carbs * 0.25 * (gender==="female" && phase==="follicular" ? 1.1 : 1));
+  return { pre, post: pre };
+};
+
+// Everything the plan prescribes for one day. `total` is the 21-question sum (21–105).
+// `measuredTdee` (from adaptiveTdee) replaces the formula; a `weeklyRateKg` replaces the fixed cut/gain factor.
+// `nutrition` = { proteinModel, proteinPerKg, proteinPerLbLean, bodyFatPct, fatPct, cutPct, gainPct, carbCycling }
+// (fractions for the percentages); `dayType` is the day's session type for carb cycling.
+function dailyTargets({ total, sleepScore, stressScore, gender, age, heightCm, weightKg, goalKg, activity, phase, measuredTdee, weeklyRateKg, nutrition = {}, dayType }) {
+  const femaleAdj = femaleAdjust(gender, phase);
+  const bmr = Math.round(bmrMSJ({ gender, age, heightCm, weightKg }));
+  const tdee = measuredTdee || tdeeFrom(bmr, activity);
+  const base = weeklyRateKg != null && tdee ? kcalForRate(tdee, weeklyRateKg) : targetCalories({ tdee, weightKg, goalWeightKg: goalKg, cutPct: nutrition.cutPct, gainPct: nutrition.gainPct });
+  const kcal = clamp(base + (femaleAdj.kcal||0), 1200, 5000);
+  const proteinG = proteinTarget({ model: nutrition.proteinModel, perKg: nutrition.proteinPerKg, perLbLean: nutrition.proteinPerLbLean, weightKg, bodyFatPct: nutrition.bodyFatPct });
+  const even = macrosFromCalories({ calories: kcal, weightKg, fatPct: nutrition.fatPct, proteinG: weightKg ? proteinG : undefined });
+  const { carbDay, macros } = nutrition.carbCycling ? carbCycle(even, kcal, dayType) : { carbDay: null, macros: even };
+  const plan = cardioPlan(age, total);
+  const waterMl = waterTargetMl({ weightKg, z2: plan.z2, extraMl: femaleAdj.waterMl||0 });
+  const sodium = sodiumTargetMg({ z2: plan.z2 });
+  const sleepH = sleepTargetH({ sleepScore, stressScore, bonusH: femaleAdj.sleepBonusH||0 });
+  const { pre: carbsPre, post: carbsPost } = carbTiming({ carbs: macros.carbs, gender, phase });
+  return {
+    total, femaleAdj, bmr, tdee, kcal, macros, plan, waterMl, liters: round(waterMl/1000, 1), sodium, sleepH,
+    mode: nutritionMode(kcal, tdee), pPerMeal: proteinPerMeal(macros.protein), fiberTarget: fiberTargetG(kcal), carbsPre, carbsPost, carbDay,
+  };
+}
+
+// ------------------- backups -------------------
+// Envelope both builds write: { app: BACKUP_APP, exportedAt, data }. The React app adds
+// schema (layout of its ts_* keys); the HTML build adds source: "html" and its state blob.
+const BACKUP_APP = "tungsten-standard";
+const BACKUP_SCHEMA = 3; // bump together with a MIGRATIONS step in the React app
+
+// Schema version of a ts_* bundle; throws when this build can't read it
+function backupSchema(json) {
+  const v = Number(json?.schema);
+  if (!Number.isInteger(v) || v < 1) throw new Error("Backup has no schema version.");
+  if (v > BACKUP_SCHEMA) throw new Error(`Backup uses schema v${v}; this app only understands up to v${BACKUP_SCHEMA}. Update the app first.`);
+  return v;
+}
+
+// HTML build state → ts_* keys (v2 layout). Its 15-question mental check-in, relational answers and
+// weekly Z2/Z5 counters are a different instrument and have no ts_* equivalent, so they are dropped.
+function fromHtmlState(st) {
+  const metric = st.units === "metric";
+  const out = {
+    ts_gender: st.sex,
+    ts_age: st.age,
+    ts_unit: metric ? "metric" : "imperial",
+    ts_h_ft: st.heightFt,
+    ts_h_in: st.heightIn,
+    ts_h_cm: st.heightCm,
+    ts_weight: metric ? st.weightKg : st.weightLb,
+    ts_goal_weight: metric ? st.goalWeightKg : st.goalWeightLb,
+    ts_activity: st.activity === "heavy" ? "active" : st.activity,
+    ts_cycle: st.cycle === "ovulatory" ? "ovulation" : st.cycle,
+    ts_hr_rest: st.rhr,
+  };
+  return Object.fromEntries(Object.entries(out).filter(([, v]) => v != null && v !== ""));
+}
+
+// ts_* keys → the HTML state fields both builds share, read from the default athlete's
+// (unsuffixed) keys, which have the same layout in schema v1–v3. The HTML form keeps both
+// units of height and weight, so the other unit is derived. Check-ins and logs have no
+// HTML equivalent.
+function toHtmlState(d = {}) {
+  const metric = d.ts_unit === "metric";
+  const num = (v) => v != null && v !== "" && Number.isFinite(Number(v)) ? Number(v) : undefined;
+  const ft = num(d.ts_h_ft), inch = ft != null ? num(d.ts_h_in) ?? 0 : undefined;
+  const cm = metric ? num(d.ts_h_cm) : ft != null ? round(cmFromInches(ft, inch), 1) : undefined;
+  const inches = metric && cm != null ? cm / 2.54 : undefined;
+  const kg = (v) => v == null ? undefined : metric ? v : round(kgFromLbs(v), 1);
+  const lb = (v) => v == null ? undefined : metric ? round(v / 0.45359237, 1) : v;
+  const weight = num(d.ts_weight), goal = num(d.ts_goal_weight);
+  const out = {
+    sex: d.ts_gender,
+    age: num(d.ts_age),
+    units: metric ? "metric" : "us",
+    heightFt: metric ? inches != null ? Math.floor(inches / 12) : undefined : ft,
+    heightIn: metric ? inches != null ? round(inches % 12, 1) : undefined : inch,
+    heightCm: cm,
+    weightLb: lb(weight),
+    weightKg: kg(weight),
+    goalWeightLb: lb(goal),
+    goalWeightKg: kg(goal),
+    activity: d.ts_activity === "active" ? "heavy" : d.ts_activity,
+    cycle: d.ts_cycle === "ovulation" ? "ovulatory" : d.ts_cycle,
+    rhr: num(d.ts_hr_rest),
+  };
+  return Object.fromEntries(Object.entries(out).filter(([, v]) => v != null && v !== ""));
+}
+
+root.TungstenEngine = Object.freeze({ cmFromInches, kgFromLbs, clamp, round, localDay, hashCode, seededRandom, seededShuffle, ACTIVITY, bmrMSJ, tdeeFrom, targetCalories, macrosFromCalories, KCAL_PER_KG, trendWeights, adaptiveTdee, kcalForRate, projectedGoalDate, proteinTarget, CARB_DAYS, carbCycle, nutritionMode, cycleAdjust, femaleAdjust, daysBetween, addDays, cycleStats, cyclePhaseOn, cycleForecast, hrMaxAuto, resolveHrMax, vo2Uth, vo2Cooper, vo2Rockport, vo2Run15, vo2Step, vo2Submax, speedFromPace, VO2_CLASSIFICATION, VO2_CATEGORIES, getAgeGroup, classifyVO2, vo2Rating, fitnessAge, karvonenZones, cardioPlan, weeklyCardio, zoneIndexForHr, MESO_WEEKS, trainingWeek, mesocycle, haversineM, hrZoneMinutes, bestDistance, sweatRate, HEAT, DEFAULT_SWEAT_LPH, sweatSodiumMgPerL, sessionHydration, clockMin, clockStr, sleepDuration, sleepDebt, CHRONOTYPES, sleepSchedule, restingHrDeviation, READINESS_BANDS, readinessScore, adjustedCardioPlan, adjustedSession, EXPOSURE_TARGETS, exposureSafety, loggedSessionType, coldPlan, saunaPlan, REMINDER_DEFAULTS, REMINDER_LABELS, reminderSchedule, waterTargetMl, sodiumTargetMg, sleepTargetH, fiberTargetG, proteinPerMeal, carbTiming, dailyTargets, BACKUP_APP, BACKUP_SCHEMA, backupSchema, fromHtmlState, toHtmlState });
+})(typeof self !== "undefined" ? self : globalThis);
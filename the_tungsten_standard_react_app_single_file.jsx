@@ -1,4 +1,4 @@
-import React, { useMemo, useState, useEffect } from "react";
+import React, { createContext, useContext, useMemo, useState, useEffect } from "react";
 import { motion } from "framer-motion";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
@@ -13,21 +13,101 @@ import { Separator } from "@/components/ui/separator";
 import {
   Activity,
   BarChart3,
+  Bell,
   BookOpen,
   Brain,
+  CalendarDays,
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  Dumbbell,
   Droplets,
+  FileSpreadsheet,
+  FileText,
   Flame,
   FlaskConical,
   HeartPulse,
   Moon,
+  Printer,
+  Settings,
+  ShoppingCart,
   Sparkles,
   Target,
   Timer,
+  TrendingUp,
+  Upload,
+  UserPlus,
+  Users,
   UtensilsCrossed,
   Waves,
   Wind,
 } from "lucide-react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
+import {
+  cmFromInches,
+  kgFromLbs,
+  clamp,
+  round,
+  localDay,
+  hashCode,
+  seededShuffle,
+  daysBetween,
+  cycleStats,
+  cyclePhaseOn,
+  cycleForecast,
+  resolveHrMax,
+  vo2Uth,
+  vo2Cooper,
+  vo2Rockport,
+  vo2Run15,
+  vo2Step,
+  vo2Submax,
+  speedFromPace,
+  VO2_CATEGORIES,
+  vo2Rating,
+  fitnessAge,
+  karvonenZones,
+  zoneIndexForHr,
+  cardioPlan,
+  weeklyCardio,
+  mesocycle,
+  haversineM,
+  hrZoneMinutes,
+  bestDistance,
+  fiberTargetG,
+  proteinPerMeal,
+  sweatRate,
+  sleepDuration,
+  EXPOSURE_TARGETS,
+  exposureSafety,
+  loggedSessionType,
+  coldPlan,
+  saunaPlan,
+  restingHrDeviation,
+  readinessScore,
+  adjustedCardioPlan,
+  adjustedSession,
+  sleepDebt,
+  sleepSchedule,
+  reminderSchedule,
+  REMINDER_DEFAULTS,
+  REMINDER_LABELS,
+  CHRONOTYPES,
+  sessionHydration,
+  sweatSodiumMgPerL,
+  HEAT,
+  DEFAULT_SWEAT_LPH,
+  tdeeFrom,
+  trendWeights,
+  adaptiveTdee,
+  projectedGoalDate,
+  KCAL_PER_KG,
+  BACKUP_APP,
+  BACKUP_SCHEMA,
+  backupSchema,
+  fromHtmlState,
+  dailyTargets as engineTargets,
+} from "./the_tungsten_standard_engine.js";
 
 // =============================================================
 // THE TUNGSTEN STANDARD — Modern Rebuild (distinct look + deeper VO₂)
@@ -35,23 +115,43 @@ import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceL
 // Major changes:
 // - Brand-new visual language (neon/glass gradients, cards, dynamic accents)
 // - True VO₂ hub with two estimators (Uth + Cooper), HR zones, daily targets
+// - VO₂ classified by age/sex band (Cooper Institute) with fitness age and personal chart thresholds
+// - Field tests (Rockport walk, 1.5-mile run, 3-min step, submax HR/pace); every VO₂ point keeps its method
 // - Exact 21-question instrument you specified (labels preserved)
+// - Dated check-in history (one entry per day, past days editable)
 // - Dynamic verse/prayer/self-talk libraries that rotate by need + day-seed
+// - Devotional content packs (JSON import/export, themes mapped to Q domains) + multi-day reading plans with progress
 // - Menstrual-phase aware macros, sleep, hydration and training bias
+// - Cycle tracker: period log → average cycle/luteal length, automatic phase + forecast (manual override)
 // - Rich Nutrition panel: macros, timing, fiber/omega goals, sample meals
+// - Nutrition settings: protein per kg or per lb lean, fat %, cut/gain rate, carb cycling by session, diet styles that swap meals
+// - Seeded 7-day meal plan hitting each day's macros + carb windows, with a combined grocery list
+// - Adaptive TDEE: weigh-ins → trend weight, measured TDEE from intake, kcal for a weekly rate, goal date
+// - Food log against the day's targets (remaining macros/fiber/kcal, low-protein meals) + editable food DB
+// - Sleep log: 7-night debt vs target, Breus chronotype quiz → bedtime, wake window, caffeine/screen cutoffs
+// - Hydration: sweat-rate test → before/during/after fluid + sodium per session, daily intake tracker
+// - Local reminders while the app is open (no push server): check-in, hydration paced to the day's liters, wind-down before bedtime, today's session; quiet hours
 // - Recovery rules for cold exposure (performance-safe), simple sauna logic
+// - Cold/sauna planner by today's session (no cold after hypertrophy, luteal warmer/shorter), exposure log + weekly dose, safety stops
+// - Readiness score (check-in, sleep debt, resting-HR drift, soreness) that downgrades today's cardio, explained on Coach
+// - Relationships tab: 7-item trend + weekly rollup, same-device partner check-in with gap comparison, weekly Gottman exercise
 // - Coach tab that synthesizes weak domains into concrete micro-goals
 // - Charts: VO₂ trajectory (local only) and adherence streaks (optional)
+// - Training log: sessions with time-in-zone, weekly adherence vs. the cardio prescription, streaks
+// - Periodized calendar: 7-day plan + 4-week block with deload, phase-aware, drag to rearrange
+// - Offline TCX/GPX/CSV import: zone minutes, best 12-min distance for Cooper, resting-HR trend
+// - Per-domain trends (7/28-day rolling averages) + weekly/monthly rollups
+// - Versioned JSON backup/restore (merge or replace) with schema migrations
+// - Offline-first: shared service worker (versioned precache, reload prompt), history in IndexedDB, persistent storage request
+// - CSV export (one row per day) + VO₂ field-test CSV import
+// - Weekly report (print/PDF or standalone HTML), one page per athlete: part averages + movers, VO₂, adherence, fuel vs. targets, next week's goals
+// - Team mode: named athlete profiles with isolated storage + roster dashboard
+// - All physiology math comes from the shared engine (the_tungsten_standard_engine.js)
 // =============================================================
 
 // ------------------- helpers -------------------
-const cmFromInches = (ft, inches) => (Number(ft) * 12 + Number(inches)) * 2.54;
-const kgFromLbs = (lbs) => Number(lbs) * 0.45359237;
-const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
-const round = (x, p = 0) => Math.round(x * 10 ** p) / 10 ** p;
-const todaySeed = () => new Date().toISOString().slice(0,10);
-
-const ACTIVITY = { sedentary: 1.2, light: 1.375, moderate: 1.55, active: 1.725, athlete: 1.9 };
+// (physiology formulas live in the_tungsten_standard_engine.js, shared with the HTML build)
+const todaySeed = () => localDay(); // local date: an evening entry belongs to today, not UTC tomorrow
 
 // -------------- 21 Questions (EXACT LABELS) --------------
 const Q = [
@@ -82,132 +182,703 @@ const Q = [
   { key: "allIn", label: "The All-In Check (All Topics)" },
 ];
 
+// The four parts of the instrument, in Q order
+const Q_PARTS = [
+  { key: "physical", label: "Physical Foundation", keys: ["sleep","nutrition","hydration","bodyRel"] },
+  { key: "mental", label: "Mental & Emotional", keys: ["breath","chatter","compassion","resilience","focus","grit","rhythm","spiritual"] },
+  { key: "relationship", label: "Relationship Health", keys: ["turnToward","conflict","trust","overthink","intimacy","selfExpand","connection"] },
+  { key: "holistic", label: "Holistic Summary", keys: ["internalHealth","allIn"] },
+];
+
+const defaultAnswers = () => Object.fromEntries(Q.map(q=>[q.key,3]));
+const sumAnswers = (a) => Q.reduce((s,q)=> s + Number(a?.[q.key]||0), 0);
+
 // ------------------- persistence -------------------
+// Each athlete profile gets its own copy of every ts_* key: "ts_weight" for the default
+// (original) profile, "ts_weight@<id>" for the rest. DEVICE_KEYS are device-wide.
+const DEFAULT_PROFILE = "default";
+const ProfileContext = createContext(DEFAULT_PROFILE);
+const DEVICE_KEYS = ["ts_profiles", "ts_content_packs"]; // shared by every athlete on this device
+const profileKey = (key, id) => id === DEFAULT_PROFILE || DEVICE_KEYS.includes(key) ? key : `${key}@${id}`;
+const baseKey = (key) => key.split("@")[0];
+
+// History keys grow every day, so they live in IndexedDB (no ~5 MB cap) behind an in-memory
+// copy loaded before the first render; reads stay synchronous and writes go through to the
+// database. Settings stay in localStorage. Without IndexedDB everything stays in localStorage.
+const HISTORY_KEYS = ["ts_checkins", "ts_vo2_series", "ts_workouts", "ts_rhr_series", "ts_weighins", "ts_food_log", "ts_water_log", "ts_sweat_tests", "ts_sleep_log", "ts_soreness", "ts_exposures", "ts_partner"];
+const IDB_NAME = "tungsten-standard", IDB_STORE = "kv";
+let idb = null; // open database once openHistory() succeeds
+const historyCache = {};
+const isHistoryKey = (key) => !!idb && HISTORY_KEYS.includes(baseKey(key));
+const idbTx = (fn) => new Promise((resolve, reject) => {
+  const tx = idb.transaction(IDB_STORE, "readwrite"), req = fn(tx.objectStore(IDB_STORE));
+  tx.oncomplete = () => resolve(req?.result);
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+async function openHistory() {
+  if (typeof indexedDB === "undefined") return;
+  try {
+    idb = await new Promise((resolve, reject) => {
+      const r = indexedDB.open(IDB_NAME, 1);
+      r.onupgradeneeded = () => r.result.createObjectStore(IDB_STORE);
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+    const [keys, values] = [await idbTx(s=> s.getAllKeys()), await idbTx(s=> s.getAll())];
+    keys.forEach((k, i)=> { historyCache[k] = values[i]; });
+  } catch { idb = null; return; }
+  // one-time move: history still in localStorage goes across, then leaves localStorage
+  try {
+    const legacy = Array.from({ length: localStorage.length }, (_, i)=> localStorage.key(i)).filter(k=> HISTORY_KEYS.includes(baseKey(k)));
+    legacy.forEach(k=> { if (!(k in historyCache)) historyCache[k] = JSON.parse(localStorage.getItem(k)); });
+    await idbTx(s=> legacy.forEach(k=> s.put(historyCache[k], k)));
+    legacy.forEach(k=> localStorage.removeItem(k));
+  } catch {}
+}
+// browsers may evict non-persistent storage under pressure; ask once, report the answer
+async function persistStorage() {
+  try { return (await navigator.storage?.persisted?.()) || (await navigator.storage?.persist?.()) || false; } catch { return false; }
+}
+
+function readLocal(key, init) {
+  if (isHistoryKey(key)) return key in historyCache ? historyCache[key] : init;
+  try { const s = localStorage.getItem(key); return s ? JSON.parse(s) : init; } catch { return init; }
+}
+// Writes update the in-memory copy at once; the promise settles when the write is stored
+// (IndexedDB transaction complete) and rejects if it is not (quota, blocked storage).
+async function writeLocal(key, v) {
+  if (isHistoryKey(key)) { historyCache[key] = v; return idbTx(s=> s.put(v, key)); }
+  localStorage.setItem(key, JSON.stringify(v));
+}
+async function removeLocal(key) {
+  if (isHistoryKey(key)) { delete historyCache[key]; return idbTx(s=> s.delete(key)); }
+  localStorage.removeItem(key);
+}
 function useLocalState(key, init) {
-  const [v, setV] = useState(() => {
-    try { const s = localStorage.getItem(key); return s ? JSON.parse(s) : init; } catch { return init; }
-  });
-  useEffect(() => { try { localStorage.setItem(key, JSON.stringify(v)); } catch {} }, [key, v]);
+  const fullKey = profileKey(key, useContext(ProfileContext));
+  const [v, setV] = useState(() => readLocal(fullKey, init));
+  useEffect(() => { writeLocal(fullKey, v).catch(()=> {}); }, [fullKey, v]);
   return [v, setV];
 }
 
-// ------------------- physiology core -------------------
-function bmrMSJ({ gender, age, heightCm, weightKg }) {
-  if (!gender || !age || !heightCm || !weightKg) return 0;
-  const sex = gender === "female" ? -161 : 5;
-  return 10 * weightKg + 6.25 * heightCm - 5 * age + sex;
-}
-function targetCalories({ tdee, weightKg, goalWeightKg }) {
-  if (!tdee || !weightKg || !goalWeightKg) return tdee;
-  const delta = goalWeightKg - weightKg;
-  if (Math.abs(delta) < 2) return tdee;
-  if (delta < 0) return Math.round(tdee * 0.82); // modest cut
-  return Math.round(tdee * 1.10); // modest gain
-}
-function macrosFromCalories({ calories, weightKg, proteinGPerKg = 1.8, fatPct = 0.28 }) {
-  if (!calories || !weightKg) return { protein: 0, fat: 0, carbs: 0 };
-  const protein = Math.round(weightKg * proteinGPerKg);
-  const fat = Math.round((calories * fatPct) / 9);
-  const carbs = Math.max(0, Math.round((calories - protein*4 - fat*9) / 4));
-  return { protein, fat, carbs };
-}
-
-// Menstrual phase adaptations
-function cycleAdjust(phase) {
-  switch (phase) {
-    case "menstruation":
-      return { kcal: +100, waterMl: +300, sleepBonusH: 0.5, bias: "Deload/skill/Zone 2", micros: ["Iron + Vitamin C", "Omega-3", "Magnesium"] };
-    case "follicular":
-      return { kcal: 0, waterMl: 0, sleepBonusH: 0, bias: "Push strength/HIIT", micros: ["Creatine 3–5g", "Carbs around training"] };
-    case "ovulation":
-      return { kcal: 0, waterMl: +150, sleepBonusH: 0, bias: "Peak power; protect joints", micros: ["Collagen + Vit C", "Electrolytes"] };
-    case "luteal":
-      return { kcal: +150, waterMl: +400, sleepBonusH: 0.5, bias: "Zone 2/tempo; manage heat", micros: ["Magnesium", "B6", "Electrolytes"] };
-    default:
-      return { kcal: 0, waterMl: 0, sleepBonusH: 0, bias: "Balanced", micros: [] };
+// ------------------- daily targets -------------------
+// Engine targets for one day of answers; ctx = { gender, age, heightCm, weightKg, goalKg, activity, phase }
+const dailyTargets = (answers, ctx) => engineTargets({ ...ctx, total: sumAnswers(answers), sleepScore: answers.sleep, stressScore: answers.breath });
+
+// ------------------- check-in history -------------------
+// ts_checkins: { "YYYY-MM-DD": { answers, total, tier, sleepH, liters } }
+const shiftDay = (day, n) => { const d = new Date(`${day}T00:00:00Z`); d.setUTCDate(d.getUTCDate()+n); return d.toISOString().slice(0,10); };
+// most recent entry on or before `day` (carry-forward for days not yet checked in)
+function latestCheckin(log, day) {
+  const d = Object.keys(log||{}).filter(k=>k<=day).sort().pop();
+  return d ? { d, ...log[d] } : null;
+}
+// derived targets frozen with each entry so history reflects that day's prescription
+function checkinSnapshot(answers, ctx) {
+  const { total, bmr, tdee, kcal, macros, plan, liters, sodium, sleepH } = dailyTargets(answers, ctx);
+  return { total, tier: plan.tier, sleepH, liters, sodium, bmr, tdee, kcal, macros };
+}
+
+// ------------------- trends -------------------
+const meanOf = (xs) => xs.length ? xs.reduce((s,x)=>s+x,0) / xs.length : null;
+// average 1–5 score of `keys` within one entry
+const scoreOf = (answers, keys) => meanOf(keys.map(k=>Number(answers?.[k])).filter(Boolean));
+const weekOf = (day) => { const dow = (new Date(`${day}T00:00:00Z`).getUTCDay()+6) % 7; return shiftDay(day, -dow); }; // Monday
+const monthOf = (day) => day.slice(0,7);
+
+// daily value plus 7/28-day rolling means over logged days; unlogged days stay null
+function rollingSeries(daily, days = 90, end = todaySeed()) {
+  const rolling = (d, n) => {
+    const xs = Array.from({ length: n }, (_, j) => daily(shiftDay(d, -j))).filter(x=>x!=null);
+    return xs.length ? round(meanOf(xs), 2) : null;
+  };
+  return Array.from({ length: days }, (_, i) => {
+    const d = shiftDay(end, i - days + 1);
+    const v = daily(d);
+    return { d, v: v==null ? null : round(v, 2), avg7: rolling(d, 7), avg28: rolling(d, 28) };
+  });
+}
+const trendSeries = (log, keys, days = 90, end = todaySeed()) => rollingSeries((d)=> log[d] ? scoreOf(log[d].answers, keys) : null, days, end);
+// mean score per calendar week (Monday start) or month, newest first
+function rollup(log, keys, period = "week") {
+  const bucketOf = period === "month" ? monthOf : weekOf;
+  const buckets = {};
+  Object.entries(log||{}).forEach(([d, e]) => { const v = scoreOf(e.answers, keys); if (v!=null) (buckets[bucketOf(d)] ||= []).push(v); });
+  return Object.keys(buckets).sort().reverse().map(k => ({ period: k, avg: round(meanOf(buckets[k]), 2), n: buckets[k].length }));
+}
+
+// ------------------- backup / migration -------------------
+// Every ts_* key is part of the bundle; ts_schema records the layout version on this device.
+// v1: single ts_q21 snapshot · v2: dated ts_checkins · v3: per-athlete keys + ts_profiles
+// BACKUP_SCHEMA and the HTML-state mapping live in the engine: the HTML build restores these bundles too
+const SCHEMA_VERSION = BACKUP_SCHEMA;
+const HTML_STORAGE_KEY = "tungstenStandard-v1"; // the HTML build's loadState blob
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const isPlainObject = (o) => !!o && typeof o === "object" && !Array.isArray(o);
+
+const MIGRATIONS = {
+  // v1 → v2: the lone ts_q21 snapshot becomes the first dated check-in
+  1: (data, asOf) => {
+    const { ts_q21, ...rest } = data;
+    if (isPlainObject(ts_q21) && !Object.keys(rest.ts_checkins||{}).length) {
+      const answers = { ...defaultAnswers(), ...ts_q21 };
+      rest.ts_checkins = { [asOf]: { answers, ...checkinSnapshot(answers, snapshotCtxFrom(rest)) } };
+    }
+    return rest;
+  },
+  // v2 → v3: existing keys become the default profile unchanged
+  2: (data) => data,
+};
+function migrateData(data, fromVersion, asOf = todaySeed()) {
+  let out = { ...data };
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) out = MIGRATIONS[v] ? MIGRATIONS[v](out, asOf) : out;
+  return out;
+}
+// same context the component builds, but from raw stored values
+function snapshotCtxFrom(d) {
+  const metric = d.ts_unit === "metric";
+  return {
+    gender: d.ts_gender ?? "male",
+    age: Number(d.ts_age ?? 30),
+    heightCm: metric ? Number(d.ts_h_cm ?? 178) : cmFromInches(d.ts_h_ft ?? 5, d.ts_h_in ?? 10),
+    weightKg: metric ? Number(d.ts_weight ?? 86) : kgFromLbs(d.ts_weight ?? 190),
+    goalKg: metric ? Number(d.ts_goal_weight ?? 82) : kgFromLbs(d.ts_goal_weight ?? 180),
+    activity: d.ts_activity ?? "moderate",
+    phase: d.ts_cycle ?? "follicular",
+  };
+}
+const NUMERIC_KEYS = ["ts_age","ts_h_ft","ts_h_in","ts_h_cm","ts_weight","ts_goal_weight","ts_hr_rest","ts_hrmax","ts_cooper_m"];
+function validateData(data) {
+  if (!isPlainObject(data)) return ["Backup has no data object."];
+  const errors = [];
+  Object.entries(data).forEach(([k, v])=> {
+    const base = baseKey(k);
+    if (!k.startsWith("ts_") || k === "ts_schema") errors.push(`Unexpected key "${k}".`);
+    else if (NUMERIC_KEYS.includes(base) && !Number.isFinite(Number(v))) errors.push(`${k} must be a number.`);
+    else if (base === "ts_checkins") {
+      if (!isPlainObject(v)) errors.push(`${k} must be an object keyed by date.`);
+      else Object.entries(v).forEach(([d, e])=> {
+        if (!DATE_RE.test(d)) errors.push(`Check-in date "${d}" is not YYYY-MM-DD.`);
+        else if (!isPlainObject(e?.answers)) errors.push(`Check-in ${d} has no answers.`);
+        else if (Object.values(e.answers).some(a=> !(Number(a)>=1 && Number(a)<=5))) errors.push(`Check-in ${d} has answers outside 1–5.`);
+      });
+    }
+    else if (base === "ts_vo2_series") {
+      if (!Array.isArray(v)) errors.push(`${k} must be a list.`);
+      else if (v.some(p=> !DATE_RE.test(p?.d) || !Number.isFinite(Number(p?.v)))) errors.push(`${k} entries need a date and a number.`);
+    }
+    else if (base === "ts_rhr_series") {
+      if (!Array.isArray(v)) errors.push(`${k} must be a list.`);
+      else if (v.some(p=> !DATE_RE.test(p?.d) || !(Number(p?.v) > 0))) errors.push(`${k} entries need a date and a heart rate.`);
+    }
+    else if (base === "ts_cycle_log") {
+      if (!isPlainObject(v) || !Array.isArray(v.periods)) errors.push(`${k} must have a list of periods.`);
+      else if (v.periods.some(p=> !DATE_RE.test(p?.start) || (p.end && !DATE_RE.test(p.end)))) errors.push(`${k} periods need YYYY-MM-DD dates.`);
+    }
+    else if (base === "ts_weighins") {
+      if (!Array.isArray(v)) errors.push(`${k} must be a list.`);
+      else if (v.some(w=> !DATE_RE.test(w?.d) || !(Number(w?.kg) > 0))) errors.push(`${k} entries need a date and kg.`);
+    }
+    else if (base === "ts_food_log") {
+      if (!isPlainObject(v)) errors.push(`${k} must be an object keyed by date.`);
+      else if (Object.entries(v).some(([d, es])=> !DATE_RE.test(d) || !Array.isArray(es))) errors.push(`${k} must map YYYY-MM-DD dates to lists.`);
+    }
+    else if (base === "ts_nutrition") {
+      if (!isPlainObject(v) || (v.avoid && !Array.isArray(v.avoid))) errors.push(`${k} must be a settings object.`);
+    }
+    else if (base === "ts_sweat_tests") {
+      if (!Array.isArray(v) || v.some(t=> !DATE_RE.test(t?.d) || !(Number(t?.lPerH) > 0))) errors.push(`${k} entries need a date and a sweat rate.`);
+    }
+    else if (base === "ts_water_log") {
+      if (!isPlainObject(v) || Object.entries(v).some(([d, ml])=> !DATE_RE.test(d) || !Number.isFinite(Number(ml)))) errors.push(`${k} must map YYYY-MM-DD dates to ml.`);
+    }
+    else if (base === "ts_sleep_log") {
+      if (!isPlainObject(v) || Object.entries(v).some(([d, n])=> !DATE_RE.test(d) || !/^\d{2}:\d{2}$/.test(n?.bed) || !/^\d{2}:\d{2}$/.test(n?.wake))) errors.push(`${k} must map YYYY-MM-DD dates to bed/wake HH:MM times.`);
+    }
+    else if (base === "ts_soreness") {
+      if (!isPlainObject(v) || Object.entries(v).some(([d, n])=> !DATE_RE.test(d) || !(Number(n) >= 1 && Number(n) <= 5))) errors.push(`${k} must map YYYY-MM-DD dates to 1–5.`);
+    }
+    else if (base === "ts_exposures") {
+      if (!Array.isArray(v) || v.some(e=> !DATE_RE.test(e?.d) || !["cold", "sauna"].includes(e?.kind) || !(Number(e?.minutes) > 0))) errors.push(`${k} entries need a date, cold/sauna and minutes.`);
+    }
+    else if (base === "ts_partner") {
+      if (!isPlainObject(v) || !isPlainObject(v.log)) errors.push(`${k} must have a log keyed by date.`);
+      else if (Object.entries(v.log).some(([d, e])=> !DATE_RE.test(d) || !isPlainObject(e?.answers) || Object.values(e.answers).some(a=> !(Number(a)>=1 && Number(a)<=5)))) errors.push(`${k} entries need YYYY-MM-DD dates and answers 1–5.`);
+    }
+    else if (base === "ts_content_packs") {
+      if (!Array.isArray(v) || v.some(p=> p?.format !== PACK_FORMAT || !p.id)) errors.push(`${k} must be a list of content packs.`);
+    }
+    else if (base === "ts_reading") {
+      if (!isPlainObject(v) || !isPlainObject(v.plans)) errors.push(`${k} must have a plans object.`);
+    }
+    else if (base === "ts_reminders") {
+      if (!isPlainObject(v) || ["checkin", "hydration", "winddown", "session", "quiet"].some(c=> v[c] != null && !isPlainObject(v[c]))) errors.push(`${k} must be a reminder settings object.`);
+    }
+    else if (base === "ts_food_db") {
+      if (!Array.isArray(v) || v.some(f=> !f?.id || !f?.name)) errors.push(`${k} must be a list of named foods.`);
+    }
+    else if (base === "ts_workouts") {
+      if (!Array.isArray(v)) errors.push(`${k} must be a list.`);
+      else if (v.some(w=> !DATE_RE.test(w?.d) || !(Number(w?.minutes) >= 0))) errors.push(`${k} entries need a date and minutes.`);
+    }
+    else if (k === "ts_profiles" && !Array.isArray(v?.list)) errors.push("ts_profiles must have a list of athletes.");
+  });
+  return errors;
+}
+
+// Accepts a ts_* bundle of any known schema, an HTML build backup, or a raw HTML loadState blob.
+function parseBackup(json) {
+  if (!isPlainObject(json)) throw new Error("Not a Tungsten Standard backup.");
+  let data, from;
+  if (json.app === BACKUP_APP && json.source === "html") { data = fromHtmlState(json.data || {}); from = 2; }
+  else if (json.app === BACKUP_APP) { from = backupSchema(json); data = json.data; }
+  else if (isPlainObject(json.answers) && "units" in json) { data = fromHtmlState(json); from = 2; }
+  else throw new Error("Not a Tungsten Standard backup.");
+  const errors = validateData(data);
+  if (errors.length) throw new Error(errors.slice(0, 5).join(" "));
+  const exported = new Date(json.exportedAt);
+  const asOf = Number.isNaN(exported.getTime()) ? todaySeed() : localDay(exported);
+  return migrateData(data, from, asOf);
+}
+
+// Merge: dated history is unioned (imported wins on the same date); profile values only fill gaps.
+// Lists and date maps inside an object (ts_cycle_log.periods, ts_partner.log) are unioned the same way.
+function mergeData(local, incoming) {
+  const out = { ...local };
+  const keyOf = (x) => x?.id ?? (x?.d ? `${x.d}|${x.method||""}` : x?.start ?? JSON.stringify(x));
+  const sortKey = (x) => String(x?.d ?? x?.start ?? x);
+  const union = (cur, v) => {
+    const byKey = new Map(cur.map(x=>[keyOf(x), x]));
+    v.forEach(x=> byKey.set(keyOf(x), x));
+    return [...byKey.values()].sort((a,b)=> sortKey(a).localeCompare(sortKey(b)));
+  };
+  Object.entries(incoming).forEach(([k, v])=> {
+    const cur = local[k];
+    if (k === "ts_profiles" && isPlainObject(cur)) {
+      const known = new Set(cur.list.map(p=>p.id));
+      out[k] = { ...cur, list: [...cur.list, ...(v.list||[]).filter(p=> !known.has(p.id))] };
+    }
+    else if (Array.isArray(v) && Array.isArray(cur)) out[k] = union(cur, v);
+    else if (isPlainObject(v) && isPlainObject(cur)) {
+      out[k] = { ...cur, ...v };
+      Object.keys(v).forEach(f=> {
+        if (Array.isArray(v[f]) && Array.isArray(cur[f])) out[k][f] = union(cur[f], v[f]);
+        else if (!DATE_RE.test(f) && isPlainObject(v[f]) && isPlainObject(cur[f])) out[k][f] = { ...cur[f], ...v[f] }; // e.g. ts_partner.log
+      });
+    }
+    else if (cur === undefined) out[k] = v;
+  });
+  return out;
+}
+
+function readAllLocal() {
+  const out = {};
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k.startsWith("ts_") && k !== "ts_schema") out[k] = readLocal(k);
+    }
+  } catch {}
+  Object.keys(historyCache).forEach(k=> { if (isHistoryKey(k)) out[k] = historyCache[k]; });
+  return out;
+}
+async function writeAllLocal(data, { replace = false } = {}) {
+  if (replace) await Promise.all(Object.keys(readAllLocal()).map(removeLocal));
+  await Promise.all(Object.entries(data).map(([k, v])=> writeLocal(k, v)));
+  await writeLocal("ts_schema", SCHEMA_VERSION);
+}
+function exportBundle() {
+  return { app: BACKUP_APP, schema: SCHEMA_VERSION, exportedAt: new Date().toISOString(), data: readAllLocal() };
+}
+// Upgrade this device's storage before any useLocalState reads it. A fresh install on the same
+// origin as the HTML build picks up that build's profile.
+function migrateLocalStorage() {
+  const version = readLocal("ts_schema", 0);
+  if (version >= SCHEMA_VERSION) return;
+  let data = readAllLocal(), from = version || 1;
+  if (!Object.keys(data).length) {
+    const html = readLocal(HTML_STORAGE_KEY, null);
+    if (isPlainObject(html)) { data = fromHtmlState(html); from = 2; }
   }
+  return writeAllLocal(migrateData(data, from), { replace: true });
 }
 
-// ------------------- VO₂ hub -------------------
-// Tanaka HRmax default; allow override
-const hrMaxAuto = (age) => Math.round(208 - 0.7 * age);
-// Uth (2004): VO₂max ≈ 15.3 × (HRmax / HRrest)
-const vo2Uth = (hrMax, hrRest) => (hrMax && hrRest) ? round(15.3 * (hrMax / hrRest), 1) : 0;
-// Cooper 12-min test: VO₂max = (meters - 504.9) / 44.73
-const vo2Cooper = (meters) => meters ? round((meters - 504.9) / 44.73, 1) : 0;
-// Karvonen zones
-const karvonenZones = (rest, max) => [
-  { name: "Z1 Recovery", lo: 0.5, hi: 0.6 },
-  { name: "Z2 Aerobic", lo: 0.6, hi: 0.7 },
-  { name: "Z3 Tempo", lo: 0.7, hi: 0.8 },
-  { name: "Z4 Threshold", lo: 0.8, hi: 0.9 },
-  { name: "Z5 VO₂/Speed", lo: 0.9, hi: 1.0 },
-].map(z => ({ ...z, hr: `${Math.round(rest + z.lo*(max-rest))}-${Math.round(rest + z.hi*(max-rest))} bpm` }));
-
-function cardioPlan(age, totalScore) {
-  const tier = totalScore <= 45 ? "rebuild" : totalScore <= 80 ? "build" : "perform";
-  const z2 = tier === "rebuild" ? 30 : tier === "build" ? 40 : 50; // daily minutes
-  const hard = tier === "rebuild" ? 4 : tier === "build" ? 6 : 8;  // x (1' on / 1' off)
-  return { tier, z2, hard: age >= 50 ? Math.max(3, hard-1) : hard };
-}
-
-// ------------------- faith content (dynamic) -------------------
-const VERSE_BANK = {
-  strength: [
-    { ref: "Isaiah 40:31", text: "Those who wait on the Lord shall renew their strength..." },
-    { ref: "Philippians 4:13", text: "I can do all things through Christ who strengthens me." },
-    { ref: "Joshua 1:9", text: "Be strong and of good courage..." },
-  ],
-  peace: [
-    { ref: "John 14:27", text: "Peace I leave with you..." },
-    { ref: "Psalm 46:10", text: "Be still, and know that I am God." },
-    { ref: "1 Peter 5:7", text: "Casting all your care upon Him..." },
-  ],
-  wisdom: [
-    { ref: "James 1:5", text: "If any of you lacks wisdom, let him ask of God..." },
-    { ref: "Proverbs 3:5-6", text: "Trust in the Lord with all your heart..." },
-    { ref: "Proverbs 4:7", text: "Wisdom is the principal thing; therefore get wisdom." },
-  ],
-  grace: [
-    { ref: "Ephesians 2:8-9", text: "By grace you have been saved through faith..." },
-    { ref: "Romans 5:8", text: "God demonstrates His own love..." },
-    { ref: "1 John 4:19", text: "We love Him because He first loved us." },
-  ],
+function downloadFile(filename, text, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  setTimeout(()=> URL.revokeObjectURL(url), 1000);
+}
+
+// ------------------- VO₂ field tests -------------------
+// Saved points are { d, v, method }; points from before methods were recorded show as "unspecified".
+const VO2_METHODS = {
+  uth: { label: "Uth (HR ratio)", color: "#818cf8" },
+  cooper: { label: "Cooper 12-min", color: "#34d399" },
+  rockport: { label: "Rockport 1-mile walk", color: "#fbbf24", time: "Walk time", hr: "HR at finish (bpm)", how: "Walk 1 mile as fast as you can; take HR the moment you finish." },
+  run15: { label: "1.5-mile run", color: "#f472b6", time: "Run time", how: "Run 1.5 miles (2.4 km) on a flat course as fast as you can." },
+  step: { label: "3-min step", color: "#38bdf8", hr: "Recovery HR (bpm)", how: "Step on a 12-in box for 3 min (96 bpm metronome). Count HR for 15 s starting 5 s after stopping, ×4." },
+  submax: { label: "Submax HR/pace", color: "#a78bfa", time: "Steady pace", hr: "Steady-state HR (bpm)", how: "After 5+ min at an even pace, note pace and HR. Uses your resting HR and HRmax." },
+  field: { label: "Lab / imported", color: "#f87171" },
+  unspecified: { label: "Unspecified", color: "#94a3b8" },
+};
+const FIELD_TESTS = ["rockport", "run15", "step", "submax"];
+const vo2MethodOf = (p) => VO2_METHODS[p?.method] ? p.method : "unspecified";
+const MILE_M = 1609.344;
+
+// `t` is the field-test form; the second argument carries the profile numbers the equations need.
+function fieldTestVo2(t, { gender, age, weightLb, hrRest, hrMax }) {
+  const minutes = (Number(t.min)||0) + (Number(t.sec)||0)/60, hr = Number(t.hr)||0;
+  switch (t.method) {
+    case "rockport": return vo2Rockport({ weightLb, age, gender, minutes, hr });
+    case "run15": return vo2Run15(minutes);
+    case "step": return vo2Step({ gender, recoveryHr: hr });
+    case "submax": return vo2Submax({ speedMMin: speedFromPace(minutes, t.paceUnit==="mile" ? MILE_M : 1000), gradePct: Number(t.grade)||0, hr, hrRest, hrMax });
+    default: return 0;
+  }
+}
+
+// "Good for 36–45 · fitness age 39", or "" when there is no estimate
+function vo2Standing(v, gender, age) {
+  const { category, band } = vo2Rating(v, gender, age);
+  return category ? `${category} for ${band.replace("-", "–")} · fitness age ${fitnessAge(v, gender)}` : "";
+}
+
+// One row per date with a column per method, so each method gets its own line
+function vo2ChartRows(series) {
+  const byDay = {};
+  (series||[]).forEach(p=> { byDay[p.d] = { ...(byDay[p.d] || { d: p.d }), [vo2MethodOf(p)]: p.v }; });
+  return Object.values(byDay).sort((a,b)=> a.d.localeCompare(b.d));
+}
+
+// ------------------- training log -------------------
+// ts_workouts: [{ id, d, modality, minutes, avgHr, zoneMin: [Z1..Z5], intervals }]
+const MODALITIES = ["run", "bike", "row", "swim", "walk", "hike", "elliptical", "strength", "other"];
+const ADHERENCE_MET = 0.8; // a week counts toward the streak at ≥80% of the prescription
+// minutes per zone: the logged split when there is one, else the whole session in its average-HR zone
+function zoneMinutesOf(w, rest, max) {
+  if ((w.zoneMin||[]).some(m=> Number(m) > 0)) return [0,1,2,3,4].map(i=> Number(w.zoneMin[i])||0);
+  const out = [0,0,0,0,0];
+  if (w.avgHr > 0 && w.minutes > 0) out[zoneIndexForHr(w.avgHr, rest, max)] = Number(w.minutes);
+  return out;
+}
+// Z2 minutes and intervals per Monday week vs. the plan in force that week (last check-in
+// on or before Sunday, else `total`); newest first, current week included
+function weeklyAdherence(workouts, log, { age, rest, max, total }, weeks = 8, end = todaySeed()) {
+  return Array.from({ length: weeks }, (_, i) => {
+    const week = shiftDay(weekOf(end), -7*i), last = shiftDay(week, 6);
+    const target = weeklyCardio(cardioPlan(age, latestCheckin(log, last)?.total ?? total));
+    const inWeek = (workouts||[]).filter(w=> w.d >= week && w.d <= last);
+    const z2 = inWeek.reduce((s, w)=> s + zoneMinutesOf(w, rest, max)[1], 0);
+    const hard = inWeek.reduce((s, w)=> s + (Number(w.intervals)||0), 0);
+    const pct = round((Math.min(1, z2/target.z2) + Math.min(1, hard/target.hard)) / 2, 2);
+    return { week, z2, hard, target, sessions: inWeek.length, pct, met: pct >= ADHERENCE_MET };
+  });
+}
+// consecutive training days up to today (or yesterday, if today is still open) and
+// consecutive weeks at ADHERENCE_MET (the current week only counts once it is met)
+function adherenceStreaks(workouts, weeks, today = todaySeed()) {
+  const days = new Set((workouts||[]).map(w=>w.d));
+  let day = days.has(today) ? today : shiftDay(today, -1), dayStreak = 0;
+  while (days.has(day)) { dayStreak++; day = shiftDay(day, -1); }
+  const done = weeks[0]?.met ? weeks : weeks.slice(1);
+  const weekStreak = done.findIndex(w=> !w.met) < 0 ? done.length : done.findIndex(w=> !w.met);
+  let best = 0, run = 0;
+  [...done].reverse().forEach(w=> { run = w.met ? run + 1 : 0; best = Math.max(best, run); });
+  return { days: dayStreak, weeks: weekStreak, bestWeeks: best };
+}
+
+// ------------------- training calendar -------------------
+// ts_calendar: { tier, start: Monday of block week 1, orders: { [week]: [template index per weekday] } }
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const SESSION_STYLES = {
+  hiit: { label: "HIIT", cls: "bg-rose-600/30 border-rose-500/40" },
+  tempo: { label: "Tempo", cls: "bg-amber-600/30 border-amber-500/40" },
+  strength: { label: "Strength", cls: "bg-indigo-600/30 border-indigo-500/40" },
+  z2: { label: "Zone 2", cls: "bg-emerald-600/30 border-emerald-500/40" },
+  recovery: { label: "Recovery", cls: "bg-slate-700/60 border-slate-600" },
 };
-const PRAYER_BANK = {
-  restore: [
-    (n)=>`Lord, restore ${n||"me"} today—calm my mind, steady my steps, and teach me to breathe in Your peace. Amen.`,
-    (n)=>`Father, in fatigue meet ${n||"me"} with new mercy. Guide one faithful habit at a time. Amen.`,
+// rough length incl. warm-up, for planning fluids around a session that isn't logged yet
+const sessionMinutes = (x) => ({ hiit: x.hard * 2 + 20, tempo: (x.tempo || 0) + 20, strength: 45 + (x.z2 || 0), z2: x.z2, recovery: x.z2 }[x.type] || 0);
+const describeSession = (x) => ({
+  hiit: `${x.hard}×(1′ hard / 1′ easy) after warm up`,
+  tempo: `Zone 3 tempo ${x.tempo} min`,
+  strength: `Strength ${x.strength}, then Zone 2 ${x.z2} min`,
+  z2: `Zone 2 ${x.z2} min`,
+  recovery: `Easy Zone 1–2 or brisk walk ${x.z2} min + mobility`,
+}[x.type]);
+// a new block starts when the tier changes or the current one has run its 4 weeks
+function currentBlock(cal, tier, today = todaySeed()) {
+  const week = weekOf(today);
+  return cal && cal.tier === tier && week >= cal.start && week < shiftDay(cal.start, 28) ? cal : { tier, start: week, orders: {} };
+}
+
+// ------------------- activity files -------------------
+// Watch exports, parsed on-device (nothing is uploaded): TCX, GPX with the Garmin
+// TrackPointExtension hr, or a CSV of time + heart_rate (+ distance_m or lat/lon).
+// A CSV of date + resting_hr is a daily resting-HR export instead of a workout.
+const SPORTS = { running: "run", run: "run", biking: "bike", cycling: "bike", ride: "bike", walking: "walk", walk: "walk", hiking: "hike", rowing: "row", swimming: "swim" };
+const xmlTag = (block, tag) => block.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([^<]*)</`, "i"))?.[1]?.trim();
+const xmlNum = (block, tag) => { const v = xmlTag(block, tag); return v ? Number(v) : undefined; };
+
+function trackFromXml(text) {
+  const tcx = /<TrainingCenterDatabase/i.test(text);
+  const blocks = text.match(tcx ? /<Trackpoint\b[\s\S]*?<\/Trackpoint>/gi : /<trkpt\b[\s\S]*?<\/trkpt>/gi) || [];
+  const raw = blocks.map(b=> tcx
+    ? { time: xmlTag(b, "Time"), hr: Number(b.match(/<HeartRateBpm[^>]*>\s*<Value>([\d.]+)/i)?.[1]) || 0, dist: xmlNum(b, "DistanceMeters"), lat: xmlNum(b, "LatitudeDegrees"), lon: xmlNum(b, "LongitudeDegrees") }
+    : { time: xmlTag(b, "time"), hr: xmlNum(b, "hr") || 0, lat: Number(b.match(/\blat="([-\d.]+)"/)?.[1]), lon: Number(b.match(/\blon="([-\d.]+)"/)?.[1]) });
+  const sport = tcx ? text.match(/<Activity\s+Sport="(\w+)"/i)?.[1] : xmlTag(text, "type");
+  return { sport, raw };
+}
+function trackFromCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const col = (...names) => header.findIndex(h=> names.includes(h.trim().toLowerCase()));
+  const iTime = col("time","timestamp","elapsed_s","seconds","t"), iHr = col("heart_rate","hr","heartrate","bpm"), iDist = col("distance_m","distance","dist"), iLat = col("lat","latitude"), iLon = col("lon","lng","longitude");
+  const iDate = col("date","d","day"), iRest = col("resting_hr","hr_rest","rhr");
+  const num = (r, j) => j >= 0 && r[j]?.trim() ? Number(r[j]) : undefined;
+  if (iDate >= 0 && iRest >= 0 && iHr < 0) {
+    const points = rows.map(r=> ({ d: (r[iDate]||"").trim().slice(0,10), v: num(r, iRest) })).filter(p=> DATE_RE.test(p.d) && p.v > 0);
+    return { kind: "rhr", points };
+  }
+  if (iTime < 0 || iHr < 0) throw new Error("CSV needs time and heart_rate columns (or date and resting_hr).");
+  return { raw: rows.map(r=> ({ time: r[iTime]?.trim(), hr: num(r, iHr) || 0, dist: num(r, iDist), lat: num(r, iLat), lon: num(r, iLon) })) };
+}
+// → { kind: "track", d, sport, points: [{ t, hr, dist }] } or { kind: "rhr", points: [{ d, v }] }
+function parseActivityFile(name, text) {
+  const parsed = /\.csv$/i.test(name) ? trackFromCsv(text) : /<(TrainingCenterDatabase|gpx)\b/i.test(text) ? trackFromXml(text) : null;
+  if (!parsed) throw new Error("Unrecognised file: expected .tcx, .gpx or .csv.");
+  if (parsed.kind === "rhr") return parsed;
+  // time is seconds elapsed or an ISO timestamp
+  const isElapsed = (time) => /^\d+(\.\d+)?$/.test(time||"");
+  const secs = (time) => isElapsed(time) ? Number(time) : Date.parse(time) / 1000;
+  const raw = parsed.raw.filter(p=> Number.isFinite(secs(p.time)));
+  if (raw.length < 2) throw new Error("No timed track points found.");
+  const t0 = secs(raw[0].time);
+  let dist = 0;
+  const points = raw.map((p, i)=> {
+    const prev = raw[i-1];
+    if (Number.isFinite(p.dist)) dist = p.dist;
+    else if (prev && [p.lat, p.lon, prev.lat, prev.lon].every(Number.isFinite)) dist += haversineM(prev.lat, prev.lon, p.lat, p.lon);
+    return { t: secs(p.time) - t0, hr: p.hr, dist };
+  });
+  const d = isElapsed(raw[0].time) ? todaySeed() : localDay(new Date(t0 * 1000));
+  return { kind: "track", d, sport: SPORTS[String(parsed.sport||"").toLowerCase()] || "other", points };
+}
+// what a track contributes to the session log and the Cooper estimator
+function trackSummary({ d, sport, points }, rest, max) {
+  const hrs = points.map(p=>p.hr).filter(h=> h > 0), last = points[points.length - 1];
+  return { d, modality: sport, minutes: Math.round(last.t / 60), avgHr: hrs.length ? Math.round(meanOf(hrs)) : 0, zoneMin: hrZoneMinutes(points, rest, max), distanceM: Math.round(last.dist), cooperM: bestDistance(points) };
+}
+
+// ------------------- CSV -------------------
+const csvCell = (v) => { const s = v == null ? "" : String(v); return /[",\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s; };
+const toCsv = (rows) => rows.map(r=> r.map(csvCell).join(",")).join("\n");
+// RFC 4180-ish: quoted cells, doubled quotes, CRLF or LF
+function parseCsv(text) {
+  const rows = []; let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i+1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    }
+    else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i+1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    }
+    else cell += c;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r=> r.some(c=> c.trim() !== ""));
+}
+
+const CSV_COLUMNS = ["date", ...Q.map(q=>q.key), "total", "bmr", "tdee", "kcal", "protein_g", "carbs_g", "fat_g", "liters", "sodium_mg", "sleep_h", "vo2", "vo2_method", "tier"];
+// One row per day with a check-in or a VO₂ point (the day's last saved test). Entries logged
+// before targets were snapshotted fall back to `current` (today's targets for the current profile).
+function checkinsCsv(log, vo2Series, current) {
+  const vo2By = Object.fromEntries((vo2Series||[]).map(p=>[p.d, p]));
+  const days = [...new Set([...Object.keys(log||{}), ...Object.keys(vo2By)])].sort();
+  const rows = days.map(d=> {
+    const e = log[d], p = vo2By[d];
+    const vo2 = p ? [p.v, vo2MethodOf(p)] : ["", ""];
+    if (!e) return [d, ...Array(CSV_COLUMNS.length - 4).fill(""), ...vo2, ""];
+    const t = { ...current, ...e, macros: e.macros || current.macros };
+    return [d, ...Q.map(q=>e.answers[q.key]), e.total, t.bmr, t.tdee, t.kcal, t.macros.protein, t.macros.carbs, t.macros.fat, t.liters, t.sodium, t.sleepH, ...vo2, e.tier];
+  });
+  return toCsv([CSV_COLUMNS, ...rows]);
+}
+
+// Field-test log → VO₂ points. Needs a date column plus one of: vo2 (direct, with an
+// optional vo2_method), cooper_m (12-min distance) or hr_rest (+ optional hr_max, else `hrMaxDefault`).
+function vo2FromFieldCsv(text, hrMaxDefault) {
+  const [header = [], ...rows] = parseCsv(text);
+  const col = (...names) => header.findIndex(h=> names.includes(h.trim().toLowerCase()));
+  const iDate = col("date","d","day"), iVo2 = col("vo2","vo2max","v"), iMethod = col("vo2_method","method"), iCooper = col("cooper_m","cooper","meters","distance_m"), iRest = col("hr_rest","rhr","resting_hr"), iMax = col("hr_max","hrmax");
+  if (iDate < 0) throw new Error("CSV needs a date column.");
+  if (iVo2 < 0 && iCooper < 0 && iRest < 0) throw new Error("CSV needs a vo2, cooper_m or hr_rest column.");
+  const points = [], skipped = [];
+  rows.forEach((r, i)=> {
+    const d = (r[iDate]||"").trim().slice(0,10);
+    const num = (j) => j >= 0 && r[j]?.trim() ? Number(r[j]) : 0;
+    const listed = (r[iMethod]||"").trim().toLowerCase();
+    const [v, method] = num(iVo2) ? [num(iVo2), VO2_METHODS[listed] ? listed : "field"]
+      : num(iCooper) ? [vo2Cooper(num(iCooper)), "cooper"]
+      : [vo2Uth(num(iMax) || hrMaxDefault, num(iRest)), "uth"];
+    if (DATE_RE.test(d) && Number.isFinite(v) && v > 0) points.push({ d, v, method });
+    else skipped.push(i + 2); // spreadsheet line number
+  });
+  return { points, skipped };
+}
+
+// ------------------- faith content (packs) -------------------
+// A content pack is plain JSON so a chaplain can write and share one:
+// { format: "tungsten-content-pack", version: 1, id, name, author?,
+//   themes: { <theme>: { label, domains: [Q keys] } },
+//   verses: [{ id?, ref, text, themes, translation? }], prayers: [{ id?, text, themes }],
+//   selfTalk: [{ id?, text, themes, audience?: "female" | "male" }],
+//   plans: [{ id, title, days, themes, readings?: [{ ref, text }] }] }
+// Prayers may use {name|fallback}. Imported packs are device-wide (ts_content_packs) and add to CORE_PACK.
+// Plan ids are stored as "<pack id>/<plan id>" (ts_reading keys) and exported as authored.
+// The HTML build's NKJV/PRAYERS/SELF_TALK pools are not packs; see the note beside them there.
+const PACK_FORMAT = "tungsten-content-pack";
+const CORE_PACK = {
+  format: PACK_FORMAT, version: 1, id: "core", name: "Core (NKJV)",
+  themes: {
+    peace: { label: "Peace", domains: ["sleep", "breath", "chatter", "rhythm", "resilience"] },
+    wisdom: { label: "Wisdom", domains: ["focus", "overthink", "nutrition", "hydration"] },
+    grace: { label: "Grace", domains: ["compassion", "turnToward", "conflict", "trust", "intimacy", "connection"] },
+    strength: { label: "Strength", domains: ["allIn", "internalHealth", "bodyRel"] },
+    endurance: { label: "Endurance", domains: ["grit"] },
+    hope: { label: "Hope", domains: ["spiritual", "selfExpand"] },
+  },
+  verses: [
+    { ref: "Isaiah 40:31", themes: ["strength", "endurance"], text: "But those who wait on the LORD shall renew their strength; they shall mount up with wings like eagles, they shall run and not be weary, they shall walk and not faint." },
+    { ref: "Philippians 4:13", themes: ["strength"], text: "I can do all things through Christ who strengthens me." },
+    { ref: "Joshua 1:9", themes: ["strength"], text: "Have I not commanded you? Be strong and of good courage; do not be afraid, nor be dismayed, for the LORD your God is with you wherever you go." },
+    { ref: "Psalm 18:32", themes: ["strength"], text: "It is God who arms me with strength, and makes my way perfect." },
+    { ref: "John 14:27", themes: ["peace"], text: "Peace I leave with you, My peace I give to you; not as the world gives do I give to you. Let not your heart be troubled, neither let it be afraid." },
+    { ref: "Psalm 46:10", themes: ["peace"], text: "Be still, and know that I am God." },
+    { ref: "1 Peter 5:7", themes: ["peace"], text: "casting all your care upon Him, for He cares for you." },
+    { ref: "Philippians 4:6–7", themes: ["peace"], text: "Be anxious for nothing, but in everything by prayer and supplication, with thanksgiving, let your requests be made known to God; and the peace of God, which surpasses all understanding, will guard your hearts and minds through Christ Jesus." },
+    { ref: "Isaiah 26:3", themes: ["peace"], text: "You will keep him in perfect peace, whose mind is stayed on You, because he trusts in You." },
+    { ref: "Matthew 11:28", themes: ["peace"], text: "Come to Me, all you who labor and are heavy laden, and I will give you rest." },
+    { ref: "Psalm 4:8", themes: ["peace"], text: "I will both lie down in peace, and sleep; for You alone, O LORD, make me dwell in safety." },
+    { ref: "James 1:5", themes: ["wisdom"], text: "If any of you lacks wisdom, let him ask of God, who gives to all liberally and without reproach, and it will be given to him." },
+    { ref: "Proverbs 3:5–6", themes: ["wisdom"], text: "Trust in the LORD with all your heart, and lean not on your own understanding; in all your ways acknowledge Him, and He shall direct your paths." },
+    { ref: "Proverbs 4:7", themes: ["wisdom"], text: "Wisdom is the principal thing; therefore get wisdom. And in all your getting, get understanding." },
+    { ref: "Colossians 3:23", themes: ["wisdom", "strength"], text: "And whatever you do, do it heartily, as to the Lord and not to men." },
+    { ref: "Ephesians 2:8", themes: ["grace"], text: "For by grace you have been saved through faith, and that not of yourselves; it is the gift of God." },
+    { ref: "Romans 5:8", themes: ["grace"], text: "But God demonstrates His own love toward us, in that while we were still sinners, Christ died for us." },
+    { ref: "1 John 4:19", themes: ["grace"], text: "We love Him because He first loved us." },
+    { ref: "Ephesians 4:32", themes: ["grace"], text: "And be kind to one another, tenderhearted, forgiving one another, even as God in Christ forgave you." },
+    { ref: "Galatians 6:9", themes: ["endurance"], text: "And let us not grow weary while doing good, for in due season we shall reap if we do not lose heart." },
+    { ref: "Romans 5:3–4", themes: ["endurance", "hope"], text: "And not only that, but we also glory in tribulations, knowing that tribulation produces perseverance; and perseverance, character; and character, hope." },
+    { ref: "James 1:12", themes: ["endurance"], text: "Blessed is the man who endures temptation; for when he has been approved, he will receive the crown of life which the Lord has promised to those who love Him." },
+    { ref: "Lamentations 3:22–23", themes: ["hope", "peace"], text: "Through the LORD's mercies we are not consumed, because His compassions fail not. They are new every morning; great is Your faithfulness." },
+    { ref: "Romans 15:13", themes: ["hope", "peace"], text: "Now may the God of hope fill you with all joy and peace in believing, that you may abound in hope by the power of the Holy Spirit." },
+    { ref: "Jeremiah 29:11", themes: ["hope"], text: "For I know the thoughts that I think toward you, says the LORD, thoughts of peace and not of evil, to give you a future and a hope." },
   ],
-  focus: [
-    (n)=>`Lord, order ${n||"my"} day. Give clarity for hard work and gentleness for people. Amen.`,
-    (n)=>`God, help ${n||"me"} focus on what matters, and let discipline be an act of worship. Amen.`,
+  prayers: [
+    { themes: ["peace"], text: "Lord, restore {name|me} today—calm my mind, steady my steps, and teach me to breathe in Your peace. Amen." },
+    { themes: ["peace", "endurance"], text: "Father, in fatigue meet {name|me} with new mercy. Guide one faithful habit at a time. Amen." },
+    { themes: ["wisdom", "strength"], text: "Lord, order {name|my} day. Give clarity for hard work and gentleness for people. Amen." },
+    { themes: ["wisdom", "strength"], text: "God, help {name|me} focus on what matters, and let discipline be an act of worship. Amen." },
+    { themes: ["grace", "hope"], text: "Thank You for breath, body, and purpose. Use {name|me} to serve someone well today. Amen." },
+    { themes: ["grace", "hope"], text: "Father, thank You for progress. Keep {name|me} humble and hopeful. Amen." },
   ],
-  gratitude: [
-    (n)=>`Thank You for breath, body, and purpose. Use ${n||"me"} to serve someone well today. Amen.`,
-    (n)=>`Father, thank You for progress. Keep ${n||"me"} humble and hopeful. Amen.`,
+  selfTalk: [
+    { themes: ["strength"], audience: "female", text: "I am capable, composed, and powerful." },
+    { themes: ["strength"], audience: "female", text: "Strength and grace work together in me." },
+    { themes: ["strength"], audience: "male", text: "I bring calm focus and decisive action to every rep." },
+    { themes: ["strength"], audience: "male", text: "I do the hard things well." },
+    { themes: ["wisdom"], text: "I aim my attention where it matters and keep it there." },
+    { themes: ["wisdom"], text: "Simple, crisp, repeatable actions." },
+    { themes: ["peace"], text: "My breath sets my rhythm; my rhythm sets my performance." },
+    { themes: ["peace"], text: "I slow my breath and lead my body." },
+    { themes: ["endurance"], text: "Discipline over mood — I execute." },
+    { themes: ["endurance"], text: "I finish what I start with great form." },
+    { themes: ["grace"], text: "I give myself the grace I'd give a teammate." },
+    { themes: ["hope"], text: "Today is a fresh start; I build from here." },
+  ],
+  plans: [
+    { id: "peace-30", title: "30 Days of Peace", days: 30, themes: ["peace", "hope"] },
+    { id: "strength-14", title: "14 Days of Strength", days: 14, themes: ["strength", "endurance"] },
+    { id: "wisdom-7", title: "7 Days of Wisdom", days: 7, themes: ["wisdom"] },
   ],
 };
+// Validate an imported pack and fill in missing item ids; throws with a readable message.
+function parsePack(json) {
+  if (!isPlainObject(json) || json.format !== PACK_FORMAT) throw new Error(`Not a content pack (expected format "${PACK_FORMAT}").`);
+  if (!json.id || !json.name) throw new Error("Content pack needs an id and a name.");
+  if (json.id === CORE_PACK.id) throw new Error(`"${CORE_PACK.id}" is reserved for the built-in pack.`);
+  const list = (kind, check) => {
+    const items = json[kind] || [];
+    if (!Array.isArray(items)) throw new Error(`${kind} must be a list.`);
+    items.forEach((x, i)=> { if (!check(x) || !Array.isArray(x.themes) || !x.themes.length) throw new Error(`${kind} #${i + 1} is missing text or themes.`); });
+    return items.map((x, i)=> ({ ...x, id: x.id || `${json.id}-${kind}-${i + 1}` }));
+  };
+  const plans = json.plans || [];
+  if (!Array.isArray(plans) || plans.some(p=> !p?.id || !p.title || !(Number(p.days) > 0) || !(p.themes?.length || p.readings?.length))) throw new Error("Each plan needs an id, title, days and themes or readings.");
+  return {
+    ...json, themes: isPlainObject(json.themes) ? json.themes : {},
+    verses: list("verses", x=> x?.ref && x?.text), prayers: list("prayers", x=> x?.text), selfTalk: list("selfTalk", x=> x?.text),
+    plans: plans.map(p=> ({ ...p, id: String(p.id).startsWith(`${json.id}/`) ? p.id : `${json.id}/${p.id}`, days: Number(p.days) })),
+  };
+}
+// the pack as its author wrote it: plan ids without the "<pack id>/" prefix parsePack adds
+const authoredPack = (pack) => ({ ...pack, plans: (pack.plans || []).map(p=> ({ ...p, id: String(p.id).replace(`${pack.id}/`, "") })) });
+// core + imported packs merged: items concatenated, theme domains unioned
+function mergePacks(packs) {
+  const all = [CORE_PACK, ...(packs || [])];
+  const themes = {};
+  all.forEach(p=> Object.entries(p.themes || {}).forEach(([t, v])=> { themes[t] = { label: v.label || themes[t]?.label || t, domains: [...new Set([...(themes[t]?.domains || []), ...(v.domains || [])])] }; }));
+  const items = (kind) => all.flatMap(p=> (p[kind] || []).map((x, i)=> ({ ...x, id: x.id || `${p.id}-${kind}-${i + 1}` })));
+  return { themes, verses: items("verses"), prayers: items("prayers"), selfTalk: items("selfTalk"), plans: items("plans") };
+}
+// Non-repeating rotation: the n-th pick walks a seeded shuffle of the pool, reshuffled each full cycle.
+// A cycle never opens with the item that closed the last one; swapping the first two items keeps
+// every cycle's last item fixed, so that check only needs the previous shuffle.
+function rotationPick(pool, seed, n) {
+  if (pool.length < 3) return pool[n % pool.length] ?? null;
+  const cycle = Math.floor(n / pool.length);
+  const order = seededShuffle(pool, `${seed}|${cycle}`);
+  if (cycle > 0 && order[0] === seededShuffle(pool, `${seed}|${cycle - 1}`).at(-1)) [order[0], order[1]] = [order[1], order[0]];
+  return order[n % pool.length];
+}
+const dayNumber = (day) => Math.round(Date.parse(day) / 864e5);
+const fillName = (text, name) => text.replace(/\{name(?:\|([^}]*))?\}/g, (_, fallback)=> name || fallback || "me");
+
 function pickFrom(arr, seedKey="default") { if (!arr?.length) return null; const idx = Math.abs(hashCode(seedKey)) % arr.length; return arr[idx]; }
-function hashCode(s){ let h=0; for(let i=0;i<s.length;i++){h=((h<<5)-h)+s.charCodeAt(i); h|=0;} return h; }
-
-function pickVerseDynamic(scores){
-  // map weakest domains → theme
-  const pairs = Object.entries(scores).sort((a,b)=>a[1]-b[1]);
-  const weakest = pairs.slice(0,2).map(p=>p[0]);
-  const theme = weakest.some(k=>["sleep","breath","resilience","chatter"].includes(k))?"peace":
-                weakest.some(k=>["focus","wisdom","overthink"].includes(k))?"wisdom":
-                weakest.some(k=>["connection","turnToward","intimacy"].includes(k))?"grace":"strength";
-  const bank = VERSE_BANK[theme];
-  return pickFrom(bank, todaySeed()+theme) || bank[0];
-}
-function pickPrayerDynamic(scores, name){
-  const minKey = Object.entries(scores).sort((a,b)=>a[1]-b[1])[0]?.[0] || "restore";
-  const bucket = ["sleep","breath","resilience","internalHealth"].includes(minKey)?"restore":
-                 ["focus","allIn","grit"].includes(minKey)?"focus":"gratitude";
-  const bank = PRAYER_BANK[bucket];
-  const fn = pickFrom(bank, todaySeed()+bucket) || bank[0];
-  return fn(name);
+
+// lowest-scoring answer keys, lowest first
+const weakestKeys = (scores, n = 2) => Object.entries(scores).sort((a,b)=>a[1]-b[1]).slice(0,n).map(p=>p[0]);
+
+// theme for today: the first theme that covers one of the weakest domains
+function themeFor(scores, content) {
+  const byDomain = (k) => Object.keys(content.themes).find(t=> content.themes[t].domains.includes(k));
+  return weakestKeys(scores, 3).map(byDomain).find(Boolean) || "strength";
+}
+const themed = (items, theme) => { const hits = items.filter(x=> x.themes.includes(theme)); return hits.length ? hits : items; };
+function pickVerseDynamic(scores, content, day = todaySeed()){
+  const theme = themeFor(scores, content);
+  return { theme, ...rotationPick(themed(content.verses, theme), `verse|${theme}`, dayNumber(day)) };
+}
+function pickPrayerDynamic(scores, name, content, day = todaySeed()){
+  const theme = themeFor(scores, content);
+  return fillName(rotationPick(themed(content.prayers, theme), `prayer|${theme}`, dayNumber(day)).text, name);
+}
+function pickSelfTalk(scores, gender, content, day = todaySeed(), n = 2) {
+  const theme = themeFor(scores, content);
+  const pool = themed(content.selfTalk.filter(x=> !x.audience || x.audience === gender), theme);
+  return [...new Set(Array.from({ length: n }, (_, i)=> rotationPick(pool, `talk|${theme}`, dayNumber(day) * n + i)?.text).filter(Boolean))];
+}
+// reading for day index `i` (0-based) of a plan: its own list when it has one, else a rotation of its themes
+function planReading(plan, content, i) {
+  if (plan.readings?.length) return plan.readings[i % plan.readings.length];
+  return rotationPick(content.verses.filter(v=> v.themes.some(t=> plan.themes.includes(t))), plan.id, i);
 }
 
 // ------------------- food ideas -------------------
@@ -215,15 +886,537 @@ const FOOD = {
   proteins: ["Chicken breast","Salmon","Greek yogurt","Eggs","Cottage cheese","Lentils","Tofu"],
   carbs: ["Quinoa","Oats","Sweet potatoes","Brown rice","Berries","Beans","Whole-grain bread"],
   fats: ["Avocado","Olive oil","Almonds","Walnuts","Chia","Flax","Peanut butter"],
+  // meals are ingredient lists so diet styles can filter and swap them (see INGREDIENTS)
   meals: {
-    cutting: ["Yogurt+berries+oats","Chicken+quinoa+greens","Tofu stir-fry + cauli rice"],
-    maintenance: ["Salmon+brown rice+asparagus","Turkey chili","Sushi bowl (fish, rice, avocado)"],
-    bulking: ["Eggs+oats+banana+nut butter","Steak+sweet potato+salad","Lentil curry+rice+EVOO"],
+    cutting: [
+      { items: ["Greek yogurt", "berries", "oats"] },
+      { items: ["chicken", "quinoa", "greens"] },
+      { dish: "Stir-fry", items: ["tofu", "mixed veg", "cauli rice"] },
+      { items: ["tuna", "chickpeas", "salad"] },
+    ],
+    maintenance: [
+      { items: ["salmon", "brown rice", "asparagus"] },
+      { dish: "Chili", items: ["turkey", "beans", "tomatoes"] },
+      { dish: "Sushi bowl", items: ["salmon", "rice", "avocado", "edamame"] },
+      { items: ["eggs", "whole-grain bread", "avocado"] },
+    ],
+    bulking: [
+      { items: ["eggs", "oats", "banana", "nut butter"] },
+      { items: ["steak", "sweet potato", "salad"] },
+      { dish: "Lentil curry", items: ["lentils", "rice", "olive oil"] },
+      { items: ["chicken", "pasta", "olive oil", "parmesan"] },
+    ],
   },
 };
 
+// ------------------- diet styles -------------------
+// Ingredient tags drive the filters; `alts` are tried in order when an ingredient is excluded.
+// Untagged ingredients (grains, veg, fruit, legumes, oils) suit every style.
+const INGREDIENTS = {
+  chicken: { tags: ["meat"], alts: ["tofu", "tempeh", "chickpeas"] },
+  turkey: { tags: ["meat"], alts: ["lentils", "tempeh"] },
+  steak: { tags: ["meat"], alts: ["tempeh", "lentils"] },
+  salmon: { tags: ["fish"], alts: ["tofu", "chickpeas"] },
+  tuna: { tags: ["fish"], alts: ["tofu", "white beans"] },
+  "chicken breast": { tags: ["meat"], alts: ["tofu", "lentils"] },
+  "cottage cheese": { tags: ["dairy"], alts: ["soy yogurt"] },
+  eggs: { tags: ["egg"], alts: ["tofu scramble", "chickpea-flour omelet"] },
+  "Greek yogurt": { tags: ["dairy"], alts: ["soy yogurt", "coconut yogurt"] },
+  parmesan: { tags: ["dairy"], alts: ["nutritional yeast"] },
+  tofu: { tags: ["soy"], alts: ["chickpeas", "lentils"] },
+  "tofu scramble": { tags: ["soy"], alts: ["chickpea-flour omelet"] },
+  tempeh: { tags: ["soy"], alts: ["lentils"] },
+  edamame: { tags: ["soy"], alts: ["peas"] },
+  "soy yogurt": { tags: ["soy"], alts: ["coconut yogurt"] },
+  oats: { tags: ["gluten"], alts: ["certified GF oats"] }, // cross-contact unless certified
+  "whole-grain bread": { tags: ["gluten"], alts: ["GF bread", "rice cakes"] },
+  pasta: { tags: ["gluten"], alts: ["rice pasta", "rice"] },
+  "nut butter": { tags: ["nuts"], alts: ["sunflower-seed butter"] },
+  "peanut butter": { tags: ["nuts"], alts: ["sunflower-seed butter"] },
+  almonds: { tags: ["nuts"], alts: ["pumpkin seeds"] },
+  walnuts: { tags: ["nuts"], alts: ["hemp seeds"] },
+};
+const DIET_STYLES = {
+  omnivore: { label: "Omnivore", excludes: [] },
+  pescatarian: { label: "Pescatarian", excludes: ["meat"] },
+  vegetarian: { label: "Vegetarian", excludes: ["meat", "fish"] },
+  vegan: { label: "Vegan", excludes: ["meat", "fish", "dairy", "egg"] },
+};
+const AVOIDANCES = { gluten: "Gluten-free", dairy: "Dairy-free", nuts: "Nut-free", soy: "Soy-free", egg: "Egg-free" };
+const allowedIn = (item, banned) => !(INGREDIENTS[item]?.tags || []).some(t=> banned.includes(t));
+const bannedTags = (diet, avoid = []) => [...(DIET_STYLES[diet]?.excludes || []), ...avoid];
+// first allowed stand-in (searching alternatives of alternatives), or null to drop the item
+function swapIngredient(item, banned, seen = new Set()) {
+  if (allowedIn(item, banned)) return item;
+  seen.add(item);
+  for (const alt of INGREDIENTS[item]?.alts || []) {
+    if (seen.has(alt)) continue;
+    const found = swapIngredient(alt, banned, seen);
+    if (found) return found;
+  }
+  return null;
+}
+// ts_nutrition: percentages are stored as fractions (engine units); avoid lists AVOIDANCES keys
+const NUTRITION_DEFAULTS = { proteinModel: "kg", proteinPerKg: 1.8, proteinPerLbLean: 1.0, bodyFatPct: 0.2, fatPct: 0.28, cutPct: 0.18, gainPct: 0.1, carbCycling: false, diet: "omnivore", avoid: [] };
+// ranges of the numeric settings (the Nutrition Settings inputs show the same min/max)
+const NUTRITION_LIMITS = { proteinPerKg: [0.8, 3], proteinPerLbLean: [0.5, 1.5], bodyFatPct: [0.03, 0.6], fatPct: [0.15, 0.45], cutPct: [0.05, 0.3], gainPct: [0, 0.2] };
+// saved settings over the defaults; a 0 left by a field cleared before inputs were checked (or any
+// non-number) falls back to the default, other values are clamped to their range
+function nutritionFrom(saved) {
+  const out = { ...NUTRITION_DEFAULTS, ...saved };
+  Object.entries(NUTRITION_LIMITS).forEach(([k, [lo, hi]])=> {
+    const n = Number(out[k]);
+    out[k] = Number.isFinite(n) && (n > 0 || lo === 0) ? clamp(n, lo, hi) : NUTRITION_DEFAULTS[k];
+  });
+  return out;
+}
+const mealName = ({ dish, items }) => { const s = dish ? `${dish}: ${items.join(", ")}` : items.join(" + "); return s[0].toUpperCase() + s.slice(1); };
+// FOOD.meals[mode] adapted to a diet style + avoided tags; `swapped` marks meals that changed
+function mealSuggestions(mode, diet = "omnivore", avoid = []) {
+  const banned = bannedTags(diet, avoid);
+  return (FOOD.meals[mode] || FOOD.meals.maintenance).map(m=> {
+    const items = [...new Set(m.items.map(i=> swapIngredient(i, banned)).filter(Boolean))];
+    return { ...m, items, name: mealName({ ...m, items }), swapped: items.join() !== m.items.join() };
+  });
+}
+
+// ------------------- food log -------------------
+// ts_food_db: editable foods (per serving). ts_food_log: { "YYYY-MM-DD": [entry] }, where each
+// entry copies the food's numbers × servings so later edits to the database don't rewrite history.
+// Entries added from the meal plan carry fromPlan: true.
+const MEALS = ["breakfast", "lunch", "dinner", "snack"];
+const NUTRIENTS = [
+  { key: "kcal", label: "kcal", unit: "" },
+  { key: "protein", label: "Protein", unit: "g" },
+  { key: "carbs", label: "Carbs", unit: "g" },
+  { key: "fat", label: "Fat", unit: "g" },
+  { key: "fiber", label: "Fiber", unit: "g" },
+];
+// per serving: [serving, kcal, protein, carbs, fat, fiber] (USDA, rounded)
+const FOOD_FACTS = {
+  "Chicken breast": ["100 g cooked", 165, 31, 0, 3.6, 0],
+  "Salmon": ["100 g cooked", 206, 22, 0, 12, 0],
+  "Greek yogurt": ["170 g nonfat", 100, 17, 6, 0.7, 0],
+  "Eggs": ["2 large", 143, 12.6, 0.7, 9.5, 0],
+  "Cottage cheese": ["1 cup (2%)", 183, 24, 11, 5, 0],
+  "Lentils": ["1 cup cooked", 230, 18, 40, 0.8, 15.6],
+  "Tofu": ["100 g firm", 144, 17, 3, 9, 2],
+  "Quinoa": ["1 cup cooked", 222, 8, 39, 3.6, 5],
+  "Oats": ["40 g dry", 150, 5, 27, 3, 4],
+  "Sweet potatoes": ["1 medium baked", 135, 3, 31, 0.2, 5],
+  "Brown rice": ["1 cup cooked", 218, 4.5, 46, 1.6, 3.5],
+  "Berries": ["1 cup mixed", 85, 1, 21, 0.5, 5],
+  "Beans": ["1 cup cooked", 227, 15, 41, 0.9, 15],
+  "Whole-grain bread": ["1 slice", 81, 4, 14, 1.1, 1.9],
+  "Avocado": ["½ fruit (100 g)", 160, 2, 8.5, 14.7, 6.7],
+  "Olive oil": ["1 tbsp", 119, 0, 0, 13.5, 0],
+  "Almonds": ["28 g", 164, 6, 6, 14, 3.5],
+  "Walnuts": ["28 g", 185, 4.3, 3.9, 18.5, 1.9],
+  "Chia": ["28 g", 138, 4.7, 12, 8.7, 9.8],
+  "Flax": ["1 tbsp ground", 37, 1.3, 2, 3, 1.9],
+  "Peanut butter": ["2 tbsp", 190, 7, 8, 16, 2],
+};
+const foodId = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+const FOOD_DB_SEED = [["protein", FOOD.proteins], ["carb", FOOD.carbs], ["fat", FOOD.fats]].flatMap(([group, names])=>
+  names.map(name=> { const [serving, kcal, protein, carbs, fat, fiber] = FOOD_FACTS[name]; return { id: foodId(name), name, group, serving, kcal, protein, carbs, fat, fiber }; }));
+
+const WEEKLY_RATES = [-1, -0.75, -0.5, -0.25, 0, 0.25, 0.5]; // kg/week
+const sumNutrients = (entries) => Object.fromEntries(NUTRIENTS.map(n=> [n.key, round((entries||[]).reduce((s, e)=> s + (Number(e[n.key])||0), 0), 1)]));
+const foodEntry = (food, servings, meal) => ({
+  meal, foodId: food.id, name: food.name, servings,
+  ...Object.fromEntries(NUTRIENTS.map(n=> [n.key, round((Number(food[n.key])||0) * servings, 1)])),
+});
+// main meals (not snacks) that were logged but fall short of the per-meal protein floor
+const lowProteinMeals = (entries, floor) => MEALS.filter(m=> m !== "snack")
+  .map(m=> ({ meal: m, protein: sumNutrients(entries.filter(e=> e.meal === m)).protein, n: entries.filter(e=> e.meal === m).length }))
+  .filter(m=> m.n && m.protein < floor);
+
+// ------------------- meal plan -------------------
+// 7-day menu from the food DB, seeded by the start day so it is stable for that day on every device.
+// Each day's targets come from dailyTargets for that day (session type, carb cycling, phase).
+// Protein is spread evenly over the three main meals with a smaller snack; on training days the snack
+// carries the pre-session carbs and dinner the post-session carbs, the rest split over breakfast/lunch.
+const PLAN_SERVING_STEP = 0.25, PLAN_MAX_SERVINGS = 6;
+const SNACK_SHARE = 0.15;
+const planServings = (need, per) => per > 0 ? clamp(Math.round(need / per / PLAN_SERVING_STEP) * PLAN_SERVING_STEP, 0, PLAN_MAX_SERVINGS) : 0;
+const foodAllowed = (food, banned) => !(food.tags || INGREDIENTS[food.name.toLowerCase()]?.tags || INGREDIENTS[food.name]?.tags || []).some(t=> banned.includes(t));
+function slotTargets({ macros, carbsPre, carbsPost, training }) {
+  const p = macros.protein * (1 - SNACK_SHARE) / 3, f = macros.fat / 4;
+  const preC = training ? Math.min(carbsPre, macros.carbs / 3) : 0, postC = training ? Math.min(carbsPost, macros.carbs / 3) : 0;
+  const restC = training ? (macros.carbs - preC - postC) / 2 : macros.carbs * 0.3;
+  return {
+    breakfast: { protein: p, carbs: restC, fat: f },
+    lunch: { protein: p, carbs: restC, fat: f },
+    dinner: { protein: p, carbs: training ? postC : restC, fat: f },
+    snack: { protein: macros.protein * SNACK_SHARE, carbs: training ? preC : macros.carbs * 0.1, fat: f },
+  };
+}
+// servings for one protein/carb/fat food trio: every food counts toward all three macros, so a few
+// Gauss-Seidel passes settle the amounts before rounding to the serving step
+function buildMeal(meal, target, foods) {
+  const keys = ["protein", "carbs", "fat"];
+  const s = [0, 0, 0];
+  for (let pass = 0; pass < 6; pass++) keys.forEach((key, i)=> {
+    const per = Number(foods[i]?.[key]) || 0;
+    const other = foods.reduce((sum, f, j)=> j === i || !f ? sum : sum + s[j] * (Number(f[key]) || 0), 0);
+    s[i] = per > 0 ? Math.max(0, (target[key] - other) / per) : 0;
+  });
+  const entries = foods.map((f, i)=> f && planServings(s[i], 1) > 0 ? foodEntry(f, Math.max(i === 0 ? PLAN_SERVING_STEP * 2 : 0, planServings(s[i], 1)), meal) : null).filter(Boolean);
+  return { meal, entries, totals: sumNutrients(entries) };
+}
+// days: [{ d, macros, kcal, carbsPre, carbsPost, session }]. Foods rotate through a seeded order so
+// no food repeats within a day and protein/carb/fat pairings drift from day to day.
+function mealPlan(days, foodDb, { diet = "omnivore", avoid = [], seed }) {
+  const banned = bannedTags(diet, avoid);
+  const group = (g) => seededShuffle(foodDb.filter(f=> f.group === g && foodAllowed(f, banned)), `${seed}|${g}`);
+  const pools = ["protein", "carb", "fat"].map(group);
+  if (!pools[0].length) return null;
+  let k = 0;
+  const plan = days.map(day=> {
+    const training = !!day.session && day.session.type !== "recovery";
+    const targets = slotTargets({ ...day, training });
+    const meals = MEALS.map(meal=> {
+      const foods = pools.map((pool, g)=> pool.length ? pool[(k + g * Math.floor(k / pools[0].length)) % pool.length] : null);
+      k++;
+      return buildMeal(meal, targets[meal], foods);
+    });
+    return { d: day.d, kcal: day.kcal, macros: day.macros, session: day.session, training, meals, totals: sumNutrients(meals.flatMap(m=> m.entries)) };
+  });
+  return { days: plan, grocery: groceryList(plan) };
+}
+// combined servings per food across the plan, alphabetical
+function groceryList(plan) {
+  const byFood = {};
+  plan.forEach(day=> day.meals.forEach(m=> m.entries.forEach(e=> {
+    byFood[e.foodId] = byFood[e.foodId] || { foodId: e.foodId, name: e.name, servings: 0 };
+    byFood[e.foodId].servings += e.servings;
+  })));
+  return Object.values(byFood).map(g=> ({ ...g, servings: round(g.servings, 2) })).sort((a,b)=> a.name.localeCompare(b.name));
+}
+
+// ------------------- sleep -------------------
+// ts_sleep_log: { "YYYY-MM-DD" (wake day): { bed: "HH:MM", wake: "HH:MM", quality: 1–5 | null } }
+// ts_chronotype: { type, answers: [chronotype per question], wake: "HH:MM" | "" (fixed wake override) }
+const CHRONO_QUIZ = [
+  { q: "With no alarm, you'd wake up…", options: [["before 6:00", "lion"], ["6:00–7:30", "bear"], ["after 8:00", "wolf"], ["at random, often in the night", "dolphin"]] },
+  { q: "You feel sharpest…", options: [["first thing in the morning", "lion"], ["late morning", "bear"], ["evening", "wolf"], ["in short bursts, it varies", "dolphin"]] },
+  { q: "Falling and staying asleep is…", options: [["easy, early", "lion"], ["easy most nights", "bear"], ["hard before midnight", "wolf"], ["light, I wake often", "dolphin"]] },
+  { q: "Breakfast appetite…", options: [["hungry right away", "lion"], ["ready within an hour", "bear"], ["not until late morning", "wolf"], ["often skip it", "dolphin"]] },
+  { q: "On a free night you're asleep by…", options: [["21:30", "lion"], ["23:00", "bear"], ["after midnight", "wolf"], ["whenever my mind quiets", "dolphin"]] },
+];
+// most-picked type; ties (and an unfinished quiz) fall back to the most common type, bear
+function chronotypeFrom(answers) {
+  const tally = {};
+  (answers || []).filter(Boolean).forEach(t=> { tally[t] = (tally[t] || 0) + 1; });
+  const ranked = Object.entries(tally).sort((a,b)=> b[1]-a[1]);
+  return ranked.length && (ranked.length === 1 || ranked[0][1] > ranked[1][1]) ? ranked[0][0] : "bear";
+}
+
+// ------------------- reminders -------------------
+// ts_reminders: { enabled, ...REMINDER_DEFAULTS } (per-category settings + shared quiet hours).
+// Local only, no push server: the page holds the timers, so reminders fire while the app is
+// open (a background tab or the installed app) and not once it is closed.
+const canNotify = () => typeof window !== "undefined" && "Notification" in window;
+// reminderSchedule items for `day` → cancel function. Through the service worker when there is
+// one (installed apps can't use new Notification), else a page notification.
+function scheduleReminders(items, day) {
+  const fireAt = (r) => { const t = new Date(); t.setHours(0, r.min, 0, 0); return t.getTime(); };
+  const opts = (r) => ({ body: r.body, tag: `ts-${day}-${r.id}`, data: { cat: r.cat } });
+  const show = async (r) => {
+    const reg = await navigator.serviceWorker?.getRegistration().catch(()=> null);
+    if (reg) reg.showNotification(r.title, opts(r)); else new Notification(r.title, opts(r));
+  };
+  const timers = items.filter(r=> fireAt(r) > Date.now()).map(r=> setTimeout(()=> show(r).catch(()=> {}), fireAt(r) - Date.now()));
+  return () => timers.forEach(clearTimeout);
+}
+// Today's key, re-rendering at local midnight (and on return to a tab that slept through it)
+// so day-keyed logs, targets and reminders roll over without a reload
+function useToday() {
+  const [today, setToday] = useState(todaySeed);
+  useEffect(() => {
+    const midnight = new Date(); midnight.setHours(24, 0, 1, 0);
+    const timer = setTimeout(()=> setToday(todaySeed()), midnight - Date.now());
+    const check = () => setToday(todaySeed());
+    document.addEventListener("visibilitychange", check);
+    return () => { clearTimeout(timer); document.removeEventListener("visibilitychange", check); };
+  }, [today]);
+  return today;
+}
+
+// ------------------- offline (PWA) -------------------
+// Same service worker as the HTML build: deploy the copy `npm run build -- --dist <dir>` writes
+// next to the bundle, so the bundle and its chunks are precached. A new version waits
+// until the athlete accepts the reload prompt: onUpdate receives the function that applies it.
+const SW_URL = "./the_tungsten_standard_sw.js";
+function registerServiceWorker(onUpdate) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return;
+  let reloading = !navigator.serviceWorker.controller; // first install claims the page: nothing to reload
+  navigator.serviceWorker.addEventListener("controllerchange", ()=> { if (!reloading) { reloading = true; window.location.reload(); } });
+  navigator.serviceWorker.register(`${SW_URL}?shell=${encodeURIComponent(window.location.pathname)}`).then(reg=> {
+    const offer = (w) => w && navigator.serviceWorker.controller && onUpdate(()=> w.postMessage({ type: "SKIP_WAITING" }));
+    offer(reg.waiting);
+    reg.addEventListener("updatefound", ()=> { const w = reg.installing; w?.addEventListener("statechange", ()=> { if (w.state === "installed") offer(w); }); });
+  }).catch(()=> {});
+}
+
+// IndexedDB opens (and history moves across) before the storage migration and the first render
+let storageLoaded = typeof window === "undefined";
+const storageReady = storageLoaded ? Promise.resolve() : openHistory().then(migrateLocalStorage).catch(()=> {}).finally(()=> { storageLoaded = true; });
+
+// ------------------- relationships -------------------
+// ts_partner: { name, log: { "YYYY-MM-DD": { answers: { <REL_KEYS>: 1–5 } } } }, a partner answering
+// the same seven items on this device. Same shape as ts_checkins so trendSeries/rollup work on it.
+const REL_KEYS = Q_PARTS.find(p=> p.key === "relationship").keys;
+// Weekly exercises (Gottman unless noted); one is picked per week for the lowest-scoring key
+const REL_EXERCISES = {
+  turnToward: [
+    { title: "Bid spotting", how: "Each day notice three bids (a sigh, a comment, a touch) and turn toward each with attention or a question. Compare notes on Sunday." },
+    { title: "Reunion ritual", how: "Phones face-down for the first 10 minutes after you reunite. Six-second kiss, then \"what was the best part of your day?\"" },
+  ],
+  conflict: [
+    { title: "Softened start-up", how: "Raise one issue this week as \"I feel … about … and I need …\". No \"you always\" or \"you never\"." },
+    { title: "Repair attempts", how: "Agree on a repair phrase (\"Can we start over?\") and use it once when tension rises. The other accepts it." },
+    { title: "20-minute break", how: "If your heart is pounding (over ~100 bpm) in an argument, call a 20-minute break to self-soothe without rehearsing your case, then come back." },
+  ],
+  trust: [
+    { title: "State of the Union", how: "One hour this week: five appreciations each, then one issue. Speaker talks about their own feelings; listener summarizes before replying." },
+    { title: "Small promises", how: "Make one small, visible promise each day (a text at lunch, a chore) and keep it." },
+  ],
+  overthink: [
+    { title: "Distanced self-talk (Kross)", how: "When you catch yourself ruminating about the relationship, coach yourself by name in the second person for two minutes." },
+    { title: "Check the story", how: "Write down the story you're telling yourself, then ask your partner one curious question instead of assuming." },
+  ],
+  intimacy: [
+    { title: "Love Maps", how: "Ask three open-ended questions about their current worries, hopes and dreams. Listen without fixing." },
+    { title: "See them in their element (Perel)", how: "Watch your partner do something they're great at this week and tell them what you saw." },
+  ],
+  selfExpand: [
+    { title: "Something new together (Lewandowski)", how: "Plan one novel, mildly challenging activity together: a new trail, a class, a recipe neither of you knows." },
+    { title: "Teach each other", how: "Each teaches the other a skill for 15 minutes." },
+  ],
+  connection: [
+    { title: "Stress-reducing conversation", how: "20 minutes a day on stress from outside the relationship. Take their side and don't give advice unless asked." },
+    { title: "Appreciation ritual", how: "Before bed, share one specific thing you appreciated about them today." },
+  ],
+};
+// mean of each key over the last `days` days of a log (null when nothing was logged)
+const recentScores = (log, keys, days = 7, end = todaySeed()) => Object.fromEntries(keys.map(k=> {
+  const xs = Object.entries(log || {}).filter(([d])=> d <= end && d > shiftDay(end, -days)).map(([, e])=> Number(e.answers?.[k])).filter(Boolean);
+  return [k, xs.length ? round(meanOf(xs), 1) : null];
+}));
+// lowest-scoring key (ties go to the earlier item) and this week's exercise for it, rotating by week
+function weeklyExercise(scores, week = weekOf(todaySeed())) {
+  const key = REL_KEYS.filter(k=> scores[k] != null).sort((a,b)=> scores[a] - scores[b])[0] || "turnToward";
+  return { key, ...pickFrom(REL_EXERCISES[key], week + key) };
+}
+
+// ------------------- team / roster -------------------
+const shortLabel = (key) => (Q.find(q=>q.key===key)?.label || key).replace(/\s*\(.*\)$/, "").replace(/"/g, "");
+const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+// latest check-in summary for one athlete, read straight from storage
+function rosterRow(profile, liveLog) {
+  const log = liveLog || readLocal(profileKey("ts_checkins", profile.id), {});
+  const last = latestCheckin(log, todaySeed());
+  const name = readLocal(profileKey("ts_name", profile.id), "") || profile.name;
+  return { ...profile, name, last, weakest: last ? weakestKeys(last.answers) : [] };
+}
+function removeProfileData(id) {
+  return Promise.all(Object.keys(readAllLocal()).filter(k=> k.endsWith(`@${id}`)).map(removeLocal));
+}
+
+// ------------------- weekly report -------------------
+// Micro-goals for low answers; t = { sleepH, waterL, sodium, pPerMeal, fiber, per: "today" | "every day" }
+function microGoals(a, t) {
+  return [
+    a.sleep<=2 && `Protect an ${t.sleepH}h window. Use the 3-2-1 rule (alcohol/food/water).`,
+    a.breath<=2 && "Do 2–4 min of Box Breathing or 3× Physiological Sighs before hard tasks.",
+    a.hydration<=2 && `Hit ${t.waterL} L water + ~${t.sodium} mg sodium ${t.per}.`,
+    a.nutrition<=2 && `Floor: ≥ ${t.pPerMeal} g protein each meal + ${t.fiber} g fiber total.`,
+    a.focus<=2 && "Single-task 25 min (timer on). Put phone in another room.",
+    a.turnToward<=2 && "Turn toward one small bid: eye contact + a curious question.",
+    a.allIn<=3 && "Write a 2-line intention for why you’re all-in this week.",
+  ].filter(Boolean);
+}
+const REPORT_PROFILE_KEYS = ["ts_unit","ts_gender","ts_age","ts_h_ft","ts_h_in","ts_h_cm","ts_weight","ts_goal_weight","ts_activity","ts_cycle"];
+const REPORT_FUEL = [
+  { label: "Energy", unit: "kcal", target: (t)=> t.kcal, food: "kcal" },
+  { label: "Protein", unit: "g", target: (t)=> t.macros?.protein, food: "protein" },
+  { label: "Carbs", unit: "g", target: (t)=> t.macros?.carbs, food: "carbs" },
+  { label: "Fat", unit: "g", target: (t)=> t.macros?.fat, food: "fat" },
+  { label: "Water", unit: "L", target: (t)=> t.liters, water: true },
+];
+// The Monday–Sunday week starting `week` for one athlete, read straight from storage like the roster.
+// Part averages and movers compare against the week before; targets are each day's frozen snapshot.
+function weeklyReport(profile, week) {
+  const read = (key, init) => readLocal(profileKey(key, profile.id), init);
+  const days = Array.from({ length: 7 }, (_, i)=> shiftDay(week, i)), last = days[6];
+  const log = read("ts_checkins", {});
+  const entriesFrom = (start) => Array.from({ length: 7 }, (_, i)=> log[shiftDay(start, i)]).filter(Boolean);
+  const entries = entriesFrom(week), prior = entriesFrom(shiftDay(week, -7));
+  const avg = (es, keys) => { const m = meanOf(es.map(e=> scoreOf(e.answers, keys)).filter(x=> x!=null)); return m==null ? null : round(m, 2); };
+  const parts = Q_PARTS.map(p=> ({ label: p.label, avg: avg(entries, p.keys), prev: avg(prior, p.keys) }));
+  const movers = Q.map(q=> ({ label: shortLabel(q.key), avg: avg(entries, [q.key]), prev: avg(prior, [q.key]) }))
+    .filter(m=> m.avg!=null && m.prev!=null && m.avg !== m.prev)
+    .map(m=> ({ ...m, delta: round(m.avg - m.prev, 2) }))
+    .sort((a,b)=> Math.abs(b.delta) - Math.abs(a.delta)).slice(0, 3);
+
+  const { gender, age } = snapshotCtxFrom(Object.fromEntries(REPORT_PROFILE_KEYS.map(k=> [k, read(k, undefined)])));
+  const rest = Number(read("ts_hr_rest", 60)) || 60, max = resolveHrMax(age, read("ts_hrmax", 0));
+  const point = read("ts_vo2_series", []).filter(p=> p.d <= last).sort((a,b)=> a.d.localeCompare(b.d)).pop();
+  const v = point ? Number(point.v) : vo2Uth(max, rest);
+  const vo2 = v ? { v, d: point?.d, method: point ? VO2_METHODS[vo2MethodOf(point)].label : VO2_METHODS.uth.label, standing: vo2Standing(v, gender, age) } : null;
+
+  const latest = latestCheckin(log, last), total = latest?.total ?? sumAnswers(defaultAnswers());
+  const training = weeklyAdherence(read("ts_workouts", []), log, { age, rest, max, total }, 1, last)[0];
+
+  const foodLog = read("ts_food_log", {}), waterLog = read("ts_water_log", {});
+  const meanRow = (xs, p = 0) => xs.length ? round(meanOf(xs), p) : null;
+  const fuel = REPORT_FUEL.map(f=> {
+    const targets = days.map(d=> latestCheckin(log, d)).filter(Boolean).map(f.target).filter(x=> x!=null);
+    const logged = f.water
+      ? days.map(d=> waterLog[d]).filter(ml=> ml > 0).map(ml=> ml / 1000)
+      : days.filter(d=> foodLog[d]?.length).map(d=> sumNutrients(foodLog[d])[f.food]);
+    return { label: f.label, unit: f.unit, target: meanRow(targets, f.water ? 1 : 0), logged: meanRow(logged, f.water ? 1 : 0), days: logged.length };
+  });
+
+  // next week: goals from the week's mean answers (or the last check-in), prescription from the last check-in
+  const weekAnswers = entries.length ? Object.fromEntries(Q.map(q=> [q.key, Math.round(avg(entries, [q.key]) ?? 3)])) : latest?.answers || defaultAnswers();
+  const goals = latest ? microGoals(weekAnswers, { sleepH: latest.sleepH, waterL: latest.liters, sodium: latest.sodium, pPerMeal: proteinPerMeal(latest.macros?.protein || 0), fiber: fiberTargetG(latest.kcal), per: "every day" }) : [];
+  return {
+    name: read("ts_name", "") || profile.name, week, last, checkins: entries.length, tier: latest?.tier,
+    parts, movers, vo2, training, fuel, goals, nextCardio: weeklyCardio(cardioPlan(age, total)),
+  };
+}
+// Standalone HTML (inline CSS, no scripts) so it prints or opens offline anywhere; one page per report
+const escHtml = (s) => String(s ?? "").replace(/[&<>"]/g, (c)=> ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+const signed = (x) => x > 0 ? `+${x}` : `${x}`;
+const REPORT_CSS = `
+  @page { size: A4; margin: 14mm; }
+  body { font: 12px/1.45 system-ui, sans-serif; color: #0f172a; margin: 0; }
+  .page { page-break-after: always; padding: 8px 0; }
+  .page:last-child { page-break-after: auto; }
+  header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #0f172a; margin-bottom: 10px; }
+  h1 { font-size: 20px; margin: 0; } h2 { font-size: 13px; margin: 12px 0 4px; text-transform: uppercase; letter-spacing: .04em; color: #334155; }
+  table { width: 100%; border-collapse: collapse; } th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e2e8f0; }
+  th { color: #475569; font-weight: 600; } .num { text-align: right; } .up { color: #047857; } .down { color: #b91c1c; } .muted { color: #64748b; }
+  ul { margin: 4px 0; padding-left: 18px; }
+  @media screen { body { max-width: 760px; margin: 24px auto; } .page { border-bottom: 1px dashed #cbd5e1; margin-bottom: 24px; } }
+`;
+function reportPage(r) {
+  const cell = (x, unit = "") => x==null ? `<td class="num muted">–</td>` : `<td class="num">${x}${unit}</td>`;
+  const delta = (a, b) => a==null || b==null ? `<td class="num muted">–</td>` : `<td class="num ${a > b ? "up" : a < b ? "down" : ""}">${signed(round(a - b, 2))}</td>`;
+  const t = r.training;
+  return `<section class="page">
+  <header><h1>${escHtml(r.name)}</h1><div>Week ${r.week} – ${r.last}${r.tier ? ` · <b>${escHtml(r.tier)}</b> tier` : ""}</div></header>
+  <h2>Check-ins (${r.checkins}/7 days, 1–5)</h2>
+  <table><tr><th>Part</th><th class="num">This week</th><th class="num">Week before</th><th class="num">Change</th></tr>
+  ${r.parts.map(p=> `<tr><td>${escHtml(p.label)}</td>${cell(p.avg)}${cell(p.prev)}${delta(p.avg, p.prev)}</tr>`).join("")}</table>
+  <h2>Biggest movers</h2>
+  ${r.movers.length ? `<ul>${r.movers.map(m=> `<li>${escHtml(m.label)}: ${m.prev} → ${m.avg} <span class="${m.delta > 0 ? "up" : "down"}">(${signed(m.delta)})</span></li>`).join("")}</ul>` : `<p class="muted">Needs check-ins in both weeks.</p>`}
+  <h2>VO₂max</h2>
+  ${r.vo2 ? `<p><b>${r.vo2.v}</b> ml/kg/min · ${escHtml(r.vo2.method)}${r.vo2.d ? ` (${r.vo2.d})` : ""}${r.vo2.standing ? ` · ${escHtml(r.vo2.standing)}` : ""}</p>` : `<p class="muted">No estimate yet.</p>`}
+  <h2>Training vs. cardio prescription</h2>
+  <table><tr><th></th><th class="num">Done</th><th class="num">Target</th></tr>
+  <tr><td>Zone 2 minutes</td><td class="num">${t.z2}</td><td class="num">${t.target.z2}</td></tr>
+  <tr><td>Hard intervals</td><td class="num">${t.hard}</td><td class="num">${t.target.hard}</td></tr></table>
+  <p>${t.sessions} session(s) · adherence <b>${Math.round(t.pct * 100)}%</b> ${t.met ? `<span class="up">(met)</span>` : `<span class="down">(below ${Math.round(ADHERENCE_MET * 100)}%)</span>`}</p>
+  <h2>Nutrition &amp; hydration (daily average)</h2>
+  <table><tr><th></th><th class="num">Target</th><th class="num">Logged</th><th class="num">Days logged</th></tr>
+  ${r.fuel.map(f=> `<tr><td>${f.label}</td>${cell(f.target, ` ${f.unit}`)}${cell(f.logged, ` ${f.unit}`)}<td class="num">${f.days}/7</td></tr>`).join("")}</table>
+  <h2>Next week</h2>
+  <p>Cardio: ${r.nextCardio.z2} min Zone 2 + ${r.nextCardio.hard} hard intervals.</p>
+  ${r.goals.length ? `<ul>${r.goals.map(g=> `<li>${escHtml(g)}</li>`).join("")}</ul>` : `<p class="muted">No domain is low: keep the routine.</p>`}
+</section>`;
+}
+const reportHtml = (reports) => `<!doctype html><html><head><meta charset="utf-8"><title>The Tungsten Standard · Week ${reports[0]?.week || ""}</title><style>${REPORT_CSS}</style></head><body>${reports.map(reportPage).join("\n")}</body></html>`;
+// print from a new window so the live app's layout never reaches the page
+function printHtml(html) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.write(html); w.document.close(); w.focus(); w.print();
+  return true;
+}
+
+// ------------------- components -------------------
+// Number setting that saves on blur/Enter: empty or non-numeric input reverts, anything else is
+// clamped to [min, max] first, so a cleared field never stores 0 (targets and snapshots read it)
+function SettingInput({ value, min, max, step, onSave }) {
+  const [text, setText] = useState(String(value));
+  useEffect(() => { setText(String(value)); }, [value]);
+  const save = () => {
+    const n = parseFloat(text);
+    if (!Number.isFinite(n)) { setText(String(value)); return; }
+    const v = clamp(n, min, max);
+    setText(String(v));
+    if (v !== value) onSave(v);
+  };
+  return <Input type="number" min={min} max={max} step={step} value={text} onChange={(e)=>setText(e.target.value)} onBlur={save} onKeyDown={(e)=>{ if (e.key === "Enter") save(); }} />;
+}
+// `domain` defaults to the 1–5 answer scale
+function TrendChart({ data, height = "h-48", domain }) {
+  return (
+    <div className={`${height} mt-2`}>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+          <XAxis dataKey="d" hide />
+          <YAxis domain={domain || [1, 5]} ticks={domain ? undefined : [1,2,3,4,5]} width={domain ? 32 : 24} />
+          <Tooltip labelFormatter={(l)=>`Date: ${l}`} />
+          <Legend />
+          <Line name="Day" dataKey="v" stroke="transparent" dot={{ r: 2 }} isAnimationActive={false} />
+          <Line name="7-day" type="monotone" dataKey="avg7" stroke="#818cf8" dot={false} strokeWidth={2} connectNulls />
+          <Line name="28-day" type="monotone" dataKey="avg28" stroke="#22d3ee" dot={false} strokeWidth={2} connectNulls />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
 // ------------------- component -------------------
+// Waits for storage (IndexedDB history + migrations), then hands over to the shell
 export default function TungstenStandardApp() {
+  const [ready, setReady] = useState(storageLoaded);
+  useEffect(() => { if (!ready) storageReady.finally(()=> setReady(true)); }, []);
+  return ready ? <AppShell /> : <div className="min-h-screen bg-slate-950" />;
+}
+
+// Shell: owns the athlete registry and remounts the workspace per profile so every
+// useLocalState re-reads that athlete's keys.
+function AppShell() {
+  const [profiles, setProfiles] = useState(() => readLocal("ts_profiles", { active: DEFAULT_PROFILE, list: [{ id: DEFAULT_PROFILE, name: "Athlete 1" }] }));
+  useEffect(() => { try { localStorage.setItem("ts_profiles", JSON.stringify(profiles)); } catch {} }, [profiles]);
+  const team = {
+    profiles,
+    switchTo: (id) => setProfiles({ ...profiles, active: id }),
+    add: (name) => {
+      const id = newId();
+      try { localStorage.setItem(profileKey("ts_name", id), JSON.stringify(name)); } catch {}
+      setProfiles({ active: id, list: [...profiles.list, { id, name }] });
+    },
+    remove: (id) => {
+      if (id === DEFAULT_PROFILE) return;
+      removeProfileData(id).catch(()=> {});
+      setProfiles({ active: profiles.active === id ? DEFAULT_PROFILE : profiles.active, list: profiles.list.filter(p=>p.id!==id) });
+    },
+  };
+  const [applyUpdate, setApplyUpdate] = useState(null);
+  useEffect(() => { registerServiceWorker((apply)=> setApplyUpdate(()=> apply)); }, []);
+  return (
+    <ProfileContext.Provider value={profiles.active}>
+      {applyUpdate && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 rounded-xl bg-indigo-900/90 border border-indigo-700 px-4 py-2 text-sm text-slate-100 flex items-center gap-3 shadow-xl">
+          A new version is ready.
+          <Button size="sm" onClick={applyUpdate}>Reload</Button>
+          <Button size="sm" variant="ghost" onClick={()=>setApplyUpdate(null)}>Later</Button>
+        </div>
+      )}
+      <AthleteWorkspace key={profiles.active} team={team} />
+    </ProfileContext.Provider>
+  );
+}
+
+function AthleteWorkspace({ team }) {
+  const today = useToday();
   // profile
   const [name, setName] = useLocalState("ts_name", "");
   const [gender, setGender] = useLocalState("ts_gender", "male");
@@ -240,57 +1433,460 @@ export default function TungstenStandardApp() {
   const [hrMaxOverride, setHrMaxOverride] = useLocalState("ts_hrmax", 0);
   const [cooperMeters, setCooperMeters] = useLocalState("ts_cooper_m", 0);
 
-  // 21 answers 1–5
-  const [ans, setAns] = useLocalState("ts_q21", Object.fromEntries(Q.map(q=>[q.key,3])));
-  const total = useMemo(()=> Q.reduce((s,q)=> s + Number(ans[q.key]||0), 0), [ans]);
+  // 21 answers 1–5, one dated entry per day
+  const [checkins, setCheckins] = useLocalState("ts_checkins", {});
+  const blankAns = useMemo(defaultAnswers, []);
+  const [editDay, setEditDay] = useState(todaySeed());
+  const answersFor = (day) => checkins[day]?.answers || latestCheckin(checkins, day)?.answers || blankAns;
+  const ans = answersFor(todaySeed());
+  const editAns = answersFor(editDay);
+  const [tab, setTab] = useState("coach");
 
   // derived
   const heightInCm = unit === "imperial" ? cmFromInches(heightFt, heightIn) : Number(heightCm);
   const weightInKg = unit === "imperial" ? kgFromLbs(weight) : Number(weight);
   const goalKg = unit === "imperial" ? kgFromLbs(goalWeight) : Number(goalWeight);
 
-  const bmr = useMemo(()=> Math.round(bmrMSJ({ gender, age:Number(age), heightCm:heightInCm, weightKg:weightInKg })), [gender, age, heightInCm, weightInKg]);
-  const tdee = useMemo(()=> Math.round(bmr * (ACTIVITY[activity]||1.55)), [bmr, activity]);
-  const femaleAdj = gender === "female" ? cycleAdjust(cycle) : { kcal:0, waterMl:0, sleepBonusH:0, bias:"Balanced", micros:[] };
-  const kcalBase = useMemo(()=> targetCalories({ tdee, weightKg: weightInKg, goalWeightKg: goalKg }), [tdee, weightInKg, goalKg]);
-  const kcal = clamp(kcalBase + (femaleAdj.kcal||0), 1200, 5000);
-  const macros = useMemo(()=> macrosFromCalories({ calories:kcal, weightKg:weightInKg }), [kcal, weightInKg]);
+  // cycle: phase comes from the period log unless the athlete overrides it (or has no log yet)
+  const [cycleLog, setCycleLog] = useLocalState("ts_cycle_log", { periods: [], ovulations: [] });
+  const [cycleMode, setCycleMode] = useLocalState("ts_cycle_mode", "auto");
+  const cycleInfo = useMemo(()=> cycleStats(cycleLog), [cycleLog]);
+  const phaseOn = (day) => (cycleMode === "auto" && cyclePhaseOn(day, cycleLog, cycleInfo)?.phase) || cycle;
+  const phase = phaseOn(todaySeed());
+  const cycleToday = cyclePhaseOn(todaySeed(), cycleLog, cycleInfo);
+  const forecast = useMemo(()=> cycleForecast(todaySeed(), cycleLog, 42), [cycleLog]);
+  const [periodDay, setPeriodDay] = useState(todaySeed());
+  const sortedPeriods = (periods) => [...periods].sort((a,b)=> a.start.localeCompare(b.start));
+  const logPeriodStart = () => {
+    if (cycleLog.periods.some(p=> p.start === periodDay)) return;
+    setCycleLog({ ...cycleLog, periods: sortedPeriods([...cycleLog.periods, { start: periodDay }]) });
+  };
+  const logPeriodEnd = () => { // closes the latest period that began on or before that day
+    const open = cycleLog.periods.filter(p=> p.start <= periodDay).pop();
+    if (open) setCycleLog({ ...cycleLog, periods: cycleLog.periods.map(p=> p === open ? { ...p, end: periodDay } : p) });
+  };
+  const logOvulation = () => setCycleLog({ ...cycleLog, ovulations: [...new Set([...(cycleLog.ovulations||[]), periodDay])].sort() });
+  const removePeriod = (start) => setCycleLog({ ...cycleLog, periods: cycleLog.periods.filter(p=> p.start !== start) });
+
+  // periodized calendar (ahead of the targets: carb cycling follows the day's session)
+  const cardio = cardioPlan(Number(age), sumAnswers(ans)); // same plan dailyTargets returns
+  const [savedBlock, setSavedBlock] = useLocalState("ts_calendar", null);
+  const block = currentBlock(savedBlock, cardio.tier);
+  useEffect(()=>{ if (block !== savedBlock) setSavedBlock(block); }, [block.tier, block.start]);
+  const blockWeek = Math.round((Date.parse(weekOf(todaySeed())) - Date.parse(block.start)) / (7 * 864e5));
+  // other weeks take the forecast phase at mid-week (auto mode only; a manual phase is today's)
+  const blockPhases = [0,1,2,3].map(w=> w === blockWeek ? phase : cycleMode === "auto" ? cyclePhaseOn(shiftDay(block.start, w*7 + 3), cycleLog, cycleInfo)?.phase : undefined);
+  const meso = useMemo(()=> mesocycle(cardio, { gender, phases: blockPhases }), [cardio.tier, cardio.z2, cardio.hard, gender, blockPhases.join()]);
+  const [calWeek, setCalWeek] = useState(blockWeek);
+  const [moveFrom, setMoveFrom] = useState(null); // day picked up by a drag or a first tap
+  const calDays = (w) => (block.orders[w] || [0,1,2,3,4,5,6]).map(i=> meso[w].days[i]);
+  const moveDay = (w, from, to) => {
+    const order = [...(block.orders[w] || [0,1,2,3,4,5,6])];
+    [order[from], order[to]] = [order[to], order[from]];
+    setSavedBlock({ ...block, orders: { ...block.orders, [w]: order } });
+  };
+  // tap/keyboard fallback for touch screens, where HTML5 drag and drop doesn't fire:
+  // the first tap picks a day, the second swaps it with the one tapped (same day cancels)
+  const tapDay = (w, i) => {
+    if (moveFrom != null && moveFrom !== i) moveDay(w, moveFrom, i);
+    setMoveFrom(moveFrom == null ? i : null);
+  };
+  const resetWeek = (w) => { const { [w]: _, ...orders } = block.orders; setSavedBlock({ ...block, orders }); };
+  // the planned session on `day`, or null outside the current block
+  const sessionOn = (day) => {
+    const offset = Math.round((Date.parse(day) - Date.parse(block.start)) / 864e5);
+    return offset >= 0 && offset < 28 ? calDays(Math.floor(offset / 7))[offset % 7] : null;
+  };
+  const todaySession = sessionOn(todaySeed());
+
+  // adaptive TDEE: trend weight from weigh-ins + food-log intake. A null rate keeps the formula's cut/gain factor.
+  const [weighIns, setWeighIns] = useLocalState("ts_weighins", []);
+  const [weeklyRate, setWeeklyRate] = useLocalState("ts_weekly_rate", null); // kg/week, negative = loss
+  const [useMeasured, setUseMeasured] = useLocalState("ts_adaptive", true);
+  const [nutritionSaved, setNutrition] = useLocalState("ts_nutrition", NUTRITION_DEFAULTS);
+  const nutrition = nutritionFrom(nutritionSaved);
+  const setNut = (patch) => setNutrition({ ...nutrition, ...patch });
+  const toggleAvoid = (tag) => setNut({ avoid: nutrition.avoid.includes(tag) ? nutrition.avoid.filter(t=> t !== tag) : [...nutrition.avoid, tag] });
+  const [foodLog, setFoodLog] = useLocalState("ts_food_log", {});
+  const weightTrend = useMemo(()=> trendWeights(weighIns), [weighIns]);
+  const intakeDays = useMemo(()=> Object.entries(foodLog).map(([d, es])=> ({ d, kcal: sumNutrients(es).kcal })), [foodLog]);
+  const adaptive = useMemo(()=> adaptiveTdee({ intake: intakeDays, trend: weightTrend }), [intakeDays, weightTrend]);
+  const measuredTdee = useMeasured && adaptive ? adaptive.tdee : undefined;
+
+  const ctxOn = (day) => ({ gender, age: Number(age), heightCm: heightInCm, weightKg: weightInKg, goalKg, activity, phase: phaseOn(day), measuredTdee, weeklyRateKg: weeklyRate, nutrition, dayType: sessionOn(day)?.type });
+  const snapCtx = ctxOn(todaySeed());
+  const planned = useMemo(()=> dailyTargets(ans, snapCtx), [ans, gender, age, heightInCm, weightInKg, goalKg, activity, phase, measuredTdee, weeklyRate, nutritionSaved, todaySession?.type]);
+  const { sleepH, plan } = planned; // neither depends on the session
+
+  // readiness: today's check-in, sleep debt, resting-HR drift and soreness; low scores downgrade today's session
+  const [sleepLog, setSleepLog] = useLocalState("ts_sleep_log", {});
+  const [rhrSeries, setRhrSeries] = useLocalState("ts_rhr_series", []);
+  const [soreLog, setSoreLog] = useLocalState("ts_soreness", {}); // { "YYYY-MM-DD": 1–5 }
+  const soreness = soreLog[todaySeed()] || null;
+  const debt = sleepDebt(sleepLog, sleepH, todaySeed());
+  const rhrDev = restingHrDeviation(rhrSeries, todaySeed());
+  const readiness = readinessScore({ total: checkins[todaySeed()] ? planned.total : null, sleepDebtH: debt?.debtH, rhrDelta: rhrDev?.delta, soreness });
+  const cardioToday = adjustedCardioPlan(plan, readiness);
+  const sessionToday = adjustedSession(todaySession, readiness, plan);
+  // carb cycling fuels the session as adjusted, not as planned
+  const { total, femaleAdj, bmr, tdee, kcal, macros, liters, sodium, mode, pPerMeal, fiberTarget, carbsPre, carbsPost, carbDay } = useMemo(()=> (
+    sessionToday?.type === todaySession?.type ? planned : dailyTargets(ans, { ...snapCtx, dayType: sessionToday?.type })
+  ), [planned, sessionToday?.type]);
+  const meals = mealSuggestions(mode, nutrition.diet, nutrition.avoid);
 
   // VO2
-  const hrMax = hrMaxOverride>0 ? hrMaxOverride : hrMaxAuto(Number(age));
+  const hrMax = resolveHrMax(age, hrMaxOverride);
   const vo2_uth = vo2Uth(hrMax, Number(hrRest));
   const vo2_cooper = vo2Cooper(Number(cooperMeters));
   const zones = karvonenZones(Number(hrRest||60), hrMax);
-  const plan = cardioPlan(Number(age), total);
 
-  // Hydration + sleep
-  const waterMl = Math.round(weightInKg*35 + Math.max(0, plan.z2-30)*8) + (femaleAdj.waterMl||0);
-  const liters = round(waterMl/1000, 1);
-  const sodium = clamp(1800 + Math.max(0, plan.z2-60)*3, 1500, 4000);
-  const sleepH = clamp(round(7.5 + (ans.sleep<=2?0.5:0) + (ans.breath<=2?0.5:0) + (femaleAdj.sleepBonusH||0),1),7,9.5);
+  const setAnswer = (key, value) => {
+    const answers = { ...editAns, [key]: value };
+    setCheckins({ ...checkins, [editDay]: { answers, ...checkinSnapshot(answers, ctxOn(editDay)) } });
+  };
+  const historyDays = Object.keys(checkins).sort().reverse();
+  const editPastDay = (day) => { setEditDay(day); setTab("coach"); };
+
+  // trends
+  const [trendDays, setTrendDays] = useState("90");
+  const [drill, setDrill] = useState("sleep"); // a Q_PARTS key or a single Q key
+  const drillKeys = Q_PARTS.find(p=>p.key===drill)?.keys || [drill];
+  const drillLabel = Q_PARTS.find(p=>p.key===drill)?.label || Q.find(q=>q.key===drill)?.label;
+  const partSeries = useMemo(()=> Q_PARTS.map(p=> ({ ...p, data: trendSeries(checkins, p.keys, Number(trendDays)) })), [checkins, trendDays]);
+  const drillSeries = useMemo(()=> trendSeries(checkins, drillKeys, Number(trendDays)), [checkins, drill, trendDays]);
+  const drillWeeks = useMemo(()=> rollup(checkins, drillKeys, "week").slice(0, 8), [checkins, drill]);
+  const drillMonths = useMemo(()=> rollup(checkins, drillKeys, "month").slice(0, 6), [checkins, drill]);
 
-  // goals
-  const mode = kcal < tdee*0.95 ? "cutting" : kcal > tdee*1.05 ? "bulking" : "maintenance";
-  const pPerMeal = Math.max(20, Math.round(macros.protein / 3));
-  const carbsPre = Math.round(macros.carbs * 0.25 * (gender==="female" && cycle==="follicular" ? 1.1 : 1));
-  const carbsPost = carbsPre;
-  const fiberTarget = Math.round((kcal/1000) * 14);
+  // relationships: my seven items, an optional partner's check-in on this device, and a weekly exercise
+  const [partner, setPartner] = useLocalState("ts_partner", { name: "", log: {} });
+  const partnerToday = partner.log[todaySeed()]?.answers || {}; // only the items the partner answered
+  const setPartnerAnswer = (key, value) => setPartner({ ...partner, log: { ...partner.log, [todaySeed()]: { answers: { ...partnerToday, [key]: value } } } });
+  const relSeries = useMemo(()=> {
+    const mine = trendSeries(checkins, REL_KEYS, Number(trendDays)), theirs = trendSeries(partner.log, REL_KEYS, Number(trendDays));
+    return mine.map((p, i)=> ({ d: p.d, me: p.avg7, partner: theirs[i].avg7 }));
+  }, [checkins, partner, trendDays]);
+  const relWeeks = useMemo(()=> rollup(checkins, REL_KEYS, "week").slice(0, 8), [checkins]);
+  const relScores = recentScores(checkins, REL_KEYS);
+  const exercise = weeklyExercise(relScores);
+  // compare on the latest day both of you answered, item by item
+  const bothAnswered = (d) => REL_KEYS.filter(k=> Number(checkins[d]?.answers?.[k]) > 0 && Number(partner.log[d]?.answers?.[k]) > 0);
+  const sharedDay = Object.keys(partner.log).filter(d=> bothAnswered(d).length).sort().pop();
+  const relGaps = sharedDay ? bothAnswered(sharedDay).map(k=> ({ key: k, me: Number(checkins[sharedDay].answers[k]), partner: Number(partner.log[sharedDay].answers[k]) }))
+    .map(g=> ({ ...g, gap: g.me - g.partner })).sort((a,b)=> Math.abs(b.gap) - Math.abs(a.gap)) : [];
+
+  // food log
+  const [foodDb, setFoodDb] = useLocalState("ts_food_db", FOOD_DB_SEED);
+  const [foodDay, setFoodDay] = useState(todaySeed());
+  const [pick, setPick] = useState({ meal: "breakfast", foodId: FOOD_DB_SEED[0].id, servings: "1" });
+  const blankFood = { id: "", name: "", serving: "1 serving", kcal: "", protein: "", carbs: "", fat: "", fiber: "" };
+  const [foodForm, setFoodForm] = useState(blankFood);
+  const dayFood = foodLog[foodDay] || [];
+  const eaten = sumNutrients(dayFood);
+  // past days are judged against that day's check-in snapshot when there is one
+  const daySnap = foodDay !== todaySeed() && checkins[foodDay]?.macros ? checkins[foodDay] : null;
+  const foodTargets = daySnap
+    ? { kcal: daySnap.kcal, ...daySnap.macros, fiber: fiberTargetG(daySnap.kcal) }
+    : { kcal, ...macros, fiber: fiberTarget };
+  const lowMeals = lowProteinMeals(dayFood, pPerMeal);
+  const addFood = () => {
+    const food = foodDb.find(f=> f.id === pick.foodId), servings = number(pick.servings);
+    if (!food || !(servings > 0)) return;
+    setFoodLog({ ...foodLog, [foodDay]: [...dayFood, { id: newId(), ...foodEntry(food, servings, pick.meal) }] });
+  };
+  const removeFood = (id) => setFoodLog({ ...foodLog, [foodDay]: dayFood.filter(e=> e.id !== id) });
+  const saveFood = () => {
+    if (!foodForm.name.trim()) return;
+    const food = { ...foodForm, name: foodForm.name.trim(), id: foodForm.id || `${foodId(foodForm.name)}-${newId()}`, ...Object.fromEntries(NUTRIENTS.map(n=> [n.key, number(foodForm[n.key])])) };
+    setFoodDb(foodForm.id ? foodDb.map(f=> f.id === food.id ? food : f) : [...foodDb, food]);
+    setFoodForm(blankFood);
+  };
+  const deleteFood = (id) => { setFoodDb(foodDb.filter(f=> f.id !== id)); if (foodForm.id === id) setFoodForm(blankFood); };
+  const restoreSeedFoods = () => setFoodDb([...foodDb, ...FOOD_DB_SEED.filter(f=> !foodDb.some(x=> x.id === f.id))]);
+
+  // meal plan: today + 6 days, each against its own targets; seeded by today so it holds all day
+  const menu = useMemo(()=> {
+    const planDays = Array.from({ length: 7 }, (_, i)=> { const d = shiftDay(todaySeed(), i); return { d, session: sessionOn(d), ...dailyTargets(ans, ctxOn(d)) }; });
+    return mealPlan(planDays, foodDb, { diet: nutrition.diet, avoid: nutrition.avoid, seed: todaySeed() });
+  }, [ans, gender, age, heightInCm, weightInKg, goalKg, activity, measuredTdee, weeklyRate, nutritionSaved, cycle, cycleMode, cycleLog, meso, block, foodDb, todaySeed()]);
+  const [planDay, setPlanDay] = useState(0);
+  const shownPlan = menu?.days[planDay];
+  const servingOf = (id) => foodDb.find(f=> f.id === id)?.serving || "serving";
+  // logging a plan day again replaces its earlier plan entries; foods logged by hand stay
+  const planLogged = (day) => (foodLog[day.d] || []).some(e=> e.fromPlan);
+  const logPlanDay = (day) => setFoodLog({ ...foodLog, [day.d]: [...(foodLog[day.d] || []).filter(e=> !e.fromPlan), ...day.meals.flatMap(m=> m.entries.map(e=> ({ id: newId(), ...e, fromPlan: true })))] });
+
+  // weigh-ins (stored in kg; shown in the profile's unit)
+  const toUnitWeight = (kg) => round(unit === "imperial" ? kg / 0.45359237 : kg, 1);
+  const wUnit = unit === "imperial" ? "lb" : "kg";
+  const [weighDay, setWeighDay] = useState(todaySeed());
+  const [weighValue, setWeighValue] = useState("");
+  const logWeighIn = () => {
+    const v = number(weighValue);
+    if (!(v > 0)) return;
+    const kg = unit === "imperial" ? kgFromLbs(v) : v;
+    setWeighIns([...weighIns.filter(w=> w.d !== weighDay), { d: weighDay, kg: round(kg, 2) }].sort((a,b)=> a.d.localeCompare(b.d)));
+    if (weighDay >= (weighIns[weighIns.length - 1]?.d || "")) setWeight(v); // latest weigh-in becomes the profile weight
+    setWeighValue("");
+  };
+  const trendNow = weightTrend[weightTrend.length - 1]?.trend;
+  const chartWeights = weightTrend.slice(-90).map(w=> ({ d: w.d, scale: toUnitWeight(w.kg), trend: toUnitWeight(w.trend) }));
+  const planRate = weeklyRate ?? (kcal - (femaleAdj.kcal||0) - tdee) * 7 / KCAL_PER_KG; // rate implied by the formula target
+  const goalDatePlan = trendNow ? projectedGoalDate(trendNow, goalKg, planRate, todaySeed()) : null;
+  const goalDateTrend = trendNow && adaptive ? projectedGoalDate(trendNow, goalKg, adaptive.kgPerWeek, todaySeed()) : null;
+  const stalled = adaptive && Math.abs(adaptive.kgPerWeek) < 0.1 && Math.abs(goalKg - trendNow) > 1;
 
   // dynamic faith
-  const verse = useMemo(()=> pickVerseDynamic(ans), [ans, todaySeed()]);
-  const prayer = useMemo(()=> pickPrayerDynamic(ans, name), [ans, name, todaySeed()]);
+  // devotional content: core pack + imported packs, reading plan progress per athlete
+  const [packs, setPacks] = useLocalState("ts_content_packs", []);
+  const [reading, setReading] = useLocalState("ts_reading", { active: null, plans: {} }); // plans: { id: { start, done: [day index] } }
+  const [packMsg, setPackMsg] = useState("");
+  const content = useMemo(()=> mergePacks(packs), [packs]);
+  const verse = useMemo(()=> pickVerseDynamic(ans, content), [ans, content, todaySeed()]);
+  const prayer = useMemo(()=> pickPrayerDynamic(ans, name, content), [ans, name, content, todaySeed()]);
+  const selfTalk = useMemo(()=> pickSelfTalk(ans, gender, content), [ans, gender, content, todaySeed()]);
+  const importPack = async (file) => {
+    if (!file) return;
+    try {
+      const pack = parsePack(JSON.parse(await file.text()));
+      setPacks([...packs.filter(p=> p.id !== pack.id), pack]);
+      setPackMsg(`Loaded "${pack.name}": ${pack.verses.length} verses, ${pack.prayers.length} prayers, ${pack.selfTalk.length} self-talk lines, ${pack.plans.length} plans.`);
+    } catch (e) {
+      setPackMsg(`Import failed: ${e.message}`);
+    }
+  };
+  const exportPack = (pack) => downloadFile(`${pack.id}-content-pack.json`, JSON.stringify(authoredPack(pack), null, 2));
+  const removePack = (id) => setPacks(packs.filter(p=> p.id !== id));
+  const activePlan = content.plans.find(p=> p.id === reading.active);
+  const planState = activePlan && reading.plans[activePlan.id];
+  const planToday = planState ? clamp(daysBetween(planState.start, todaySeed()), 0, activePlan.days - 1) : 0;
+  const [planView, setPlanView] = useState(null); // day index being read; null = today's
+  const planIdx = planView ?? planToday;
+  const startPlan = (id) => { setReading({ active: id, plans: { ...reading.plans, [id]: reading.plans[id] || { start: todaySeed(), done: [] } } }); setPlanView(null); };
+  const toggleRead = (i) => {
+    const done = planState.done.includes(i) ? planState.done.filter(x=> x !== i) : [...planState.done, i].sort((a,b)=> a - b);
+    setReading({ ...reading, plans: { ...reading.plans, [activePlan.id]: { ...planState, done } } });
+  };
 
   // charts (local)
   const [vo2Series, setVo2Series] = useLocalState("ts_vo2_series", []);
-  useEffect(()=>{ // auto-append today if user provided any estimator
-    if ((vo2_uth||vo2_cooper) && !vo2Series.find(d=>d.d===todaySeed())){
-      const v = vo2_cooper || vo2_uth;
-      setVo2Series([...vo2Series, { d: todaySeed(), v }]);
-    }
-  }, [vo2_uth, vo2_cooper]);
+  const vo2Rows = useMemo(()=> vo2ChartRows(vo2Series), [vo2Series]);
+  const vo2Norms = vo2Rating(0, gender, Number(age)).thresholds;
+  const vo2Latest = vo2Series[vo2Series.length - 1];
+  const standing = (v) => vo2Standing(v, gender, Number(age));
+  const vo2Methods = Object.keys(VO2_METHODS).filter(m=> vo2Series.some(p=> vo2MethodOf(p) === m));
+  // one point per method per day; re-saving the same test on the same day replaces it
+  const saveVo2 = (method, v, d = todaySeed()) => {
+    if (!(v > 0)) return;
+    const rest = vo2Series.filter(p=> !(p.d === d && vo2MethodOf(p) === method));
+    setVo2Series([...rest, { d, v, method }].sort((a,b)=> a.d.localeCompare(b.d)));
+  };
+  const removeVo2 = (pt) => setVo2Series(vo2Series.filter(p=> p !== pt));
 
   const number = (v)=> (isNaN(Number(v))?0:Number(v));
 
+  // VO₂ field tests
+  const [fieldTest, setFieldTest] = useState({ method: "rockport", d: todaySeed(), min: "", sec: "", hr: "", paceUnit: unit === "imperial" ? "mile" : "km", grade: 0 });
+  const setFt = (k, v) => setFieldTest({ ...fieldTest, [k]: v });
+  const weightLb = unit === "imperial" ? number(weight) : number(weight) / 0.45359237;
+  const fieldVo2 = fieldTestVo2(fieldTest, { gender, age: number(age), weightLb, hrRest: number(hrRest), hrMax });
+  const ftInfo = VO2_METHODS[fieldTest.method];
+
+  // training log
+  const [workouts, setWorkouts] = useLocalState("ts_workouts", []);
+  const blankSession = () => ({ d: todaySeed(), modality: "run", minutes: "", avgHr: "", zoneMin: ["", "", "", "", ""], intervals: "" });
+  const [session, setSession] = useState(blankSession);
+  const setSs = (k, v) => setSession({ ...session, [k]: v });
+  const restHr = number(hrRest) || 60;
+  const loggedToday = workouts.filter(w=> w.d === todaySeed());
+  const splitTotal = session.zoneMin.reduce((s, m)=> s + number(m), 0);
+  const logSession = () => {
+    const minutes = number(session.minutes) || splitTotal;
+    if (!(minutes > 0)) return;
+    const w = { id: newId(), d: session.d, modality: session.modality, minutes, avgHr: number(session.avgHr), zoneMin: session.zoneMin.map(number), intervals: number(session.intervals) };
+    setWorkouts([...workouts, w].sort((a,b)=> a.d.localeCompare(b.d)));
+    setSession({ ...blankSession(), d: session.d, modality: session.modality });
+  };
+  const removeWorkout = (w) => setWorkouts(workouts.filter(x=> x.id !== w.id));
+  const weeks = useMemo(()=> weeklyAdherence(workouts, checkins, { age: number(age), rest: restHr, max: hrMax, total }, 12), [workouts, checkins, age, restHr, hrMax, total]);
+  const streaks = adherenceStreaks(workouts, weeks);
+  const thisWeek = weeks[0];
+
+  // watch files and resting HR (parsed on-device)
+  const [track, setTrack] = useState(null); // trackSummary of the last imported workout
+  const [fileMsg, setFileMsg] = useState("");
+  const saveRhr = (points) => {
+    const byDay = new Map(rhrSeries.map(p=>[p.d, p]));
+    points.forEach(p=> byDay.set(p.d, { d: p.d, v: p.v }));
+    setRhrSeries([...byDay.values()].sort((a,b)=> a.d.localeCompare(b.d)));
+  };
+  const importActivity = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseActivityFile(file.name, await file.text());
+      if (parsed.kind === "rhr") {
+        saveRhr(parsed.points); setTrack(null);
+        setFileMsg(`Imported ${parsed.points.length} resting-HR day(s).`);
+        return;
+      }
+      const t = trackSummary(parsed, restHr, hrMax);
+      setTrack(t);
+      setSession({ ...blankSession(), d: t.d, modality: t.modality, minutes: String(t.minutes), avgHr: t.avgHr ? String(t.avgHr) : "", zoneMin: t.zoneMin.map(String) });
+      setFileMsg(`Read ${parsed.points.length} points from ${file.name}. Check the session below, then log it.`);
+    } catch (e) {
+      setFileMsg(`Import failed: ${e.message}`);
+    }
+  };
+  const applyTrackCooper = () => { setCooperMeters(track.cooperM); saveVo2("cooper", vo2Cooper(track.cooperM), track.d); };
+  const rhrTrend = useMemo(()=> {
+    const byDay = Object.fromEntries(rhrSeries.map(p=>[p.d, p.v]));
+    return rollingSeries((d)=> byDay[d] ?? null, 90);
+  }, [rhrSeries]);
+
+  // sleep log + chronotype schedule (debt repays through a slightly earlier bedtime)
+  const [chrono, setChrono] = useLocalState("ts_chronotype", { type: "", answers: [], wake: "" });
+  const [night, setNight] = useState({ d: todaySeed(), bed: "23:00", wake: "07:00", quality: "" });
+  const logNight = () => {
+    if (sleepDuration(night.bed, night.wake) == null || !DATE_RE.test(night.d)) return; // cleared or equal times
+    setSleepLog({ ...sleepLog, [night.d]: { bed: night.bed, wake: night.wake, quality: number(night.quality) || null } });
+    setNight({ ...night, d: shiftDay(night.d, 1) > todaySeed() ? night.d : shiftDay(night.d, 1) });
+  };
+  const removeNight = (d) => { const { [d]: _, ...rest } = sleepLog; setSleepLog(rest); };
+  const answerChrono = (i, type) => {
+    const answers = Object.assign([...(chrono.answers || [])], { [i]: type });
+    setChrono({ ...chrono, answers, type: answers.filter(Boolean).length === CHRONO_QUIZ.length ? chronotypeFrom(answers) : chrono.type });
+  };
+  const schedule = sleepSchedule({ chronotype: chrono.type || "bear", sleepH, debtH: debt?.debtH || 0, wake: chrono.wake });
+  const sleepChart = rollingSeries((d)=> sleepDuration(sleepLog[d]?.bed, sleepLog[d]?.wake), 14).map(p=> ({ d: p.d, hours: p.v, avg7: p.avg7 }));
+  const readinessDetail = {
+    checkin: `Check-in ${total}/105`,
+    sleep: debt && `${debt.debtH} h sleep debt over ${debt.nights} night(s)`,
+    rhr: rhrDev && `Resting HR ${rhrDev.today} vs ${rhrDev.baseline} baseline (${rhrDev.delta > 0 ? "+" : ""}${rhrDev.delta})`,
+    soreness: `Soreness ${soreness}/5`,
+  };
+
+  // cold & heat: protocols for what was logged today, else the (readiness-adjusted) planned session;
+  // exposure log and weekly dose
+  const [exposures, setExposures] = useLocalState("ts_exposures", []); // [{ id, d, kind: "cold"|"sauna", tempC, minutes }]
+  const [exposure, setExposure] = useState({ kind: "cold", temp: "", minutes: "" });
+  const exposureFlags = exposureSafety({ age: number(age), restingHr: rhrDev?.today, rhrDelta: rhrDev?.delta, readiness: readiness?.score });
+  const loggedType = loggedSessionType(loggedToday.map(w=> ({ ...w, zoneMin: zoneMinutesOf(w, restHr, hrMax) })));
+  const exposureCtx = { tier: plan.tier, sessionType: loggedType ?? sessionToday?.type, mode, readiness: readiness?.score, soreness, gender, phase, age: number(age), flags: exposureFlags };
+  const cold = coldPlan(exposureCtx), sauna = saunaPlan(exposureCtx);
+  const showTemp = (c) => unit === "imperial" ? `${Math.round(c * 9 / 5 + 32)}°F` : `${c}°C`;
+  const logExposure = () => {
+    const t = number(exposure.temp), minutes = number(exposure.minutes);
+    if (!(minutes > 0) || !exposure.temp) return;
+    const tempC = round(unit === "imperial" ? (t - 32) * 5 / 9 : t, 1);
+    setExposures([...exposures, { id: newId(), d: todaySeed(), kind: exposure.kind, tempC, minutes }]);
+    setExposure({ ...exposure, temp: "", minutes: "" });
+  };
+  const weekDose = Object.fromEntries(Object.keys(EXPOSURE_TARGETS).map(k=> [k, round(exposures.filter(e=> e.kind === k && e.d >= weekOf(todaySeed())).reduce((s, e)=> s + e.minutes, 0), 1)]));
+
+  // hydration: sweat tests scale the session plans; without one the engine's default rate is used
+  const [sweatTests, setSweatTests] = useLocalState("ts_sweat_tests", []);
+  const [waterLog, setWaterLog] = useLocalState("ts_water_log", {}); // { "YYYY-MM-DD": ml }
+  const [heat, setHeat] = useState("temperate");
+  const blankSweat = () => ({ d: todaySeed(), pre: "", post: "", fluidMl: "", urineMl: "", minutes: "60", heat: "temperate", salty: false });
+  const [sweatForm, setSweatForm] = useState(blankSweat);
+  const setSw = (k, v) => setSweatForm({ ...sweatForm, [k]: v });
+  const toKg = (v) => unit === "imperial" ? kgFromLbs(number(v)) : number(v);
+  const sweatPreview = sweatRate({ preKg: toKg(sweatForm.pre), postKg: toKg(sweatForm.post), fluidMl: number(sweatForm.fluidMl), urineMl: number(sweatForm.urineMl), minutes: number(sweatForm.minutes) });
+  const canSaveSweat = !!sweatPreview && DATE_RE.test(sweatForm.d); // a dateless test would fail backup validation
+  const saveSweatTest = () => {
+    if (!canSaveSweat) return;
+    setSweatTests([...sweatTests, { id: newId(), d: sweatForm.d, minutes: number(sweatForm.minutes), heat: sweatForm.heat, salty: sweatForm.salty, ...sweatPreview }].sort((a,b)=> a.d.localeCompare(b.d)));
+    setSweatForm(blankSweat());
+  };
+  const removeSweatTest = (id) => setSweatTests(sweatTests.filter(t=> t.id !== id));
+  const sweatTest = sweatTests[sweatTests.length - 1];
+  const hydrationFor = (minutes) => sessionHydration({ minutes, weightKg: weightInKg, sweatLph: sweatTest?.lPerH, testHeat: sweatTest?.heat, heat, sodiumMgPerL: sweatSodiumMgPerL(sweatTest?.salty) });
+  // today's logged sessions; if none yet, the calendar's planned one
+  const fluidSessions = (loggedToday.length
+    ? loggedToday.map(w=> ({ id: w.id, label: `${w.modality} · ${w.minutes} min`, minutes: w.minutes }))
+    : sessionToday && sessionMinutes(sessionToday) ? [{ id: "planned", label: `Planned: ${describeSession(sessionToday)}`, minutes: sessionMinutes(sessionToday) }] : []
+  ).map(x=> ({ ...x, plan: hydrationFor(x.minutes) }));
+  const sessionMl = fluidSessions.reduce((s, x)=> s + x.plan.during.ml + x.plan.after.ml, 0);
+  const sessionSodium = fluidSessions.reduce((s, x)=> s + x.plan.during.sodiumMg + x.plan.after.sodiumMg, 0);
+  const waterGoalL = round(liters + sessionMl / 1000, 1);
+  const drankL = round((waterLog[todaySeed()] || 0) / 1000, 2);
+  const addWater = (ml) => setWaterLog({ ...waterLog, [todaySeed()]: Math.max(0, (waterLog[todaySeed()] || 0) + ml) });
+
+  // reminders: today's nudges, minus what's already done (check-in saved, water on pace, session logged)
+  const [reminders, setReminders] = useLocalState("ts_reminders", { enabled: false, ...REMINDER_DEFAULTS });
+  const setReminder = (cat, patch) => setReminders({ ...reminders, [cat]: { ...REMINDER_DEFAULTS[cat], ...reminders[cat], ...patch } });
+  const [notifyPerm, setNotifyPerm] = useState(canNotify() ? Notification.permission : "unsupported");
+  const reminderItems = reminderSchedule({
+    wake: schedule.wake, bed: schedule.bed, liters: waterGoalL, settings: reminders,
+    session: sessionToday && !loggedToday.length ? describeSession(sessionToday) : null,
+  }).filter(r=> !(r.cat === "checkin" && checkins[todaySeed()]) && !(r.cat === "hydration" && r.cumMl <= drankL * 1000));
+  // every value scheduleReminders reads: the items as scheduled (times, text), on/off and the day
+  const reminderKey = reminders.enabled ? JSON.stringify(reminderItems) : "";
+  useEffect(()=> notifyPerm === "granted" ? scheduleReminders(reminders.enabled ? reminderItems : [], today) : undefined, [notifyPerm, reminderKey, today]);
+  const enableReminders = async () => {
+    if (!canNotify()) return;
+    const perm = await Notification.requestPermission();
+    setNotifyPerm(perm);
+    if (perm === "granted") setReminders({ ...reminders, enabled: true });
+  };
+  const { avg7: rhr7, avg28: rhr28 } = rhrTrend[rhrTrend.length - 1];
+
+  // team
+  const [newAthlete, setNewAthlete] = useState("");
+  const activeId = team.profiles.active;
+  const roster = team.profiles.list.map(p=> rosterRow(p, p.id === activeId ? checkins : null));
+  const addAthlete = () => { if (newAthlete.trim()) team.add(newAthlete.trim()); };
+  const removeAthlete = (p) => { if (window.confirm(`Delete ${p.name} and all of their data on this device?`)) team.remove(p.id); };
+
+  // weekly report: last completed week by default, this athlete or everyone on the device
+  const [reportWeek, setReportWeek] = useState(shiftDay(weekOf(todaySeed()), -7));
+  const [reportScope, setReportScope] = useState("athlete");
+  const [reportMsg, setReportMsg] = useState("");
+  const reportWeeks = Array.from({ length: 5 }, (_, i)=> shiftDay(weekOf(todaySeed()), -7*i));
+  const buildReport = () => reportHtml((reportScope === "team" ? team.profiles.list : team.profiles.list.filter(p=> p.id === activeId)).map(p=> weeklyReport(p, reportWeek)));
+  const printReport = () => setReportMsg(printHtml(buildReport()) ? "" : "Pop-up blocked: allow pop-ups or download the HTML instead.");
+  const downloadReport = () => downloadFile(`tungsten-report-${reportScope === "team" ? "team" : "athlete"}-${reportWeek}.html`, buildReport(), "text/html");
+
+  // CSV
+  const [csvMsg, setCsvMsg] = useState("");
+  const exportCsv = () => downloadFile(`tungsten-standard-${todaySeed()}.csv`, checkinsCsv(checkins, vo2Series, { bmr, tdee, kcal, macros, liters, sodium, sleepH }), "text/csv");
+  const importVo2Csv = async (file) => {
+    if (!file) return;
+    try {
+      const { points, skipped } = vo2FromFieldCsv(await file.text(), hrMax);
+      const byTest = new Map(vo2Series.map(p=>[`${p.d}|${vo2MethodOf(p)}`, p]));
+      points.forEach(p=> byTest.set(`${p.d}|${p.method}`, p));
+      setVo2Series([...byTest.values()].sort((a,b)=> a.d.localeCompare(b.d)));
+      setCsvMsg(`Imported ${points.length} VO₂ point(s)${skipped.length ? `; skipped line(s) ${skipped.join(", ")}` : ""}.`);
+    } catch (e) {
+      setCsvMsg(`Import failed: ${e.message}`);
+    }
+  };
+
+  // backup / restore
+  const [importMode, setImportMode] = useState("merge");
+  const [importMsg, setImportMsg] = useState("");
+  const [persisted, setPersisted] = useState(null); // null until the browser answers
+  useEffect(() => { persistStorage().then(setPersisted); }, []);
+  const exportJson = () => downloadFile(`tungsten-standard-${todaySeed()}.json`, JSON.stringify(exportBundle(), null, 2));
+  const importJson = async (file) => {
+    if (!file) return;
+    let incoming;
+    try {
+      incoming = parseBackup(JSON.parse(await file.text()));
+    } catch (e) {
+      setImportMsg(`Import failed: ${e.message}`);
+      return;
+    }
+    if (importMode === "replace" && !window.confirm("Replace ALL data on this device with the backup?")) return;
+    try {
+      // reload only once every write is stored, or the reload can drop the pending ones
+      await writeAllLocal(importMode === "replace" ? incoming : mergeData(readAllLocal(), incoming), { replace: importMode === "replace" });
+      window.location.reload();
+    } catch (e) {
+      setImportMsg(`Saving the backup failed (${e?.message || "storage error"}); this device may now hold only part of it. Free up storage and import again.`);
+    }
+  };
+
   return (
     <div className="min-h-screen w-full bg-gradient-to-br from-zinc-950 via-slate-950 to-black text-slate-100">
       <div className="mx-auto max-w-7xl px-4 py-8">
@@ -298,15 +1894,31 @@ export default function TungstenStandardApp() {
           The Tungsten Standard
         </motion.h1>
         <p className="text-center text-slate-300 mt-2">Adaptive health intelligence for people getting healthy—and staying healthy.</p>
+        {team.profiles.list.length > 1 && (
+          <div className="flex items-center justify-center gap-2 mt-4 text-sm">
+            <Users className="h-4 w-4"/>
+            <Select value={activeId} onValueChange={team.switchTo}>
+              <SelectTrigger className="w-56 bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                {roster.map(p=> <SelectItem key={p.id} value={p.id}>{p.name}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
 
-        <Tabs defaultValue="coach" className="mt-8">
-          <TabsList className="grid grid-cols-6 bg-slate-900/70 backdrop-blur rounded-2xl">
+        <Tabs value={tab} onValueChange={setTab} className="mt-8">
+          <TabsList className="flex flex-wrap h-auto justify-start gap-1 bg-slate-900/70 backdrop-blur rounded-2xl">
             <TabsTrigger value="coach">Coach</TabsTrigger>
+            <TabsTrigger value="history">History</TabsTrigger>
+            <TabsTrigger value="trends">Trends</TabsTrigger>
             <TabsTrigger value="vo2">Cardio/VO₂</TabsTrigger>
+            <TabsTrigger value="training">Training</TabsTrigger>
             <TabsTrigger value="nutrition">Nutrition</TabsTrigger>
             <TabsTrigger value="recovery">Recovery</TabsTrigger>
+            <TabsTrigger value="relationships">Relationships</TabsTrigger>
             <TabsTrigger value="faith">Faith</TabsTrigger>
             <TabsTrigger value="profile">Profile</TabsTrigger>
+            <TabsTrigger value="team">Team</TabsTrigger>
           </TabsList>
 
           {/* COACH */}
@@ -314,12 +1926,24 @@ export default function TungstenStandardApp() {
             <div className="grid xl:grid-cols-3 gap-6">
               <Card className="bg-slate-900/60 border-slate-800 shadow-xl">
                 <CardContent className="p-6">
-                  <div className="flex items-center justify-between"><h3 className="font-semibold flex items-center gap-2"><Brain className="h-5 w-5"/>21-Question Check-In</h3><Badge variant="secondary" className="bg-indigo-600/30">{total}/105</Badge></div>
+                  <div className="flex items-center justify-between"><h3 className="font-semibold flex items-center gap-2"><Brain className="h-5 w-5"/>21-Question Check-In</h3><Badge variant="secondary" className="bg-indigo-600/30">{sumAnswers(editAns)}/105</Badge></div>
+                  <div className="flex items-center justify-between mt-3 text-sm">
+                    <Button size="sm" variant="ghost" onClick={()=>setEditDay(shiftDay(editDay,-1))}><ChevronLeft className="h-4 w-4"/></Button>
+                    <div className="flex items-center gap-2">
+                      <CalendarDays className="h-4 w-4"/>{editDay}
+                      {editDay!==todaySeed() && <Badge className="bg-amber-600/40">editing past day</Badge>}
+                      {!checkins[editDay] && <span className="text-xs text-slate-400">(not logged yet)</span>}
+                    </div>
+                    <div className="flex items-center gap-1">
+                      {editDay!==todaySeed() && <Button size="sm" variant="ghost" onClick={()=>setEditDay(todaySeed())}>Today</Button>}
+                      <Button size="sm" variant="ghost" disabled={editDay>=todaySeed()} onClick={()=>setEditDay(shiftDay(editDay,1))}><ChevronRight className="h-4 w-4"/></Button>
+                    </div>
+                  </div>
                   <div className="grid md:grid-cols-2 gap-4 mt-4">
                     {Q.map(q=> (
                       <div key={q.key} className="rounded-xl bg-slate-800/60 p-3">
-                        <div className="flex items-center justify-between text-sm"><span>{q.label}</span><span className="text-indigo-300 font-semibold">{ans[q.key]}</span></div>
-                        <Slider value={[ans[q.key]]} min={1} max={5} step={1} className="mt-2" onValueChange={(v)=> setAns({...ans, [q.key]: v[0]})} />
+                        <div className="flex items-center justify-between text-sm"><span>{q.label}</span><span className="text-indigo-300 font-semibold">{editAns[q.key]}</span></div>
+                        <Slider value={[editAns[q.key]]} min={1} max={5} step={1} className="mt-2" onValueChange={(v)=> setAnswer(q.key, v[0])} />
                       </div>
                     ))}
                   </div>
@@ -330,29 +1954,53 @@ export default function TungstenStandardApp() {
                 <CardContent className="p-6 space-y-2">
                   <h3 className="font-semibold flex items-center gap-2"><Target className="h-5 w-5"/>Today’s Micro-Goals</h3>
                   <ul className="list-disc list-inside text-sm text-slate-300 space-y-1 mt-2">
-                    {ans.sleep<=2 && <li>Protect an {sleepH}h window. Use the 3-2-1 rule (alcohol/food/water).</li>}
-                    {ans.breath<=2 && <li>Do 2–4 min of Box Breathing or 3× Physiological Sighs before hard tasks.</li>}
-                    {ans.hydration<=2 && <li>Hit {liters} L water + ~{sodium} mg sodium today.</li>}
-                    {ans.nutrition<=2 && <li>Floor: ≥ {pPerMeal} g protein each meal + {fiberTarget} g fiber total.</li>}
-                    {ans.focus<=2 && <li>Single-task 25 min (timer on). Put phone in another room.</li>}
-                    {ans.turnToward<=2 && <li>Turn toward one small bid: eye contact + a curious question.</li>}
-                    {ans.allIn<=3 && <li>Write a 2-line intention for why you’re all-in this week.</li>}
-                    <li>Cardio: Zone 2 {plan.z2} min OR {plan.hard}×(1′ hard / 1′ easy) after warm up.</li>
+                    {microGoals(ans, { sleepH, waterL: waterGoalL, sodium: sodium + sessionSodium, pPerMeal, fiber: fiberTarget, per: "today" }).map(g=> <li key={g}>{g}</li>)}
+                    <li>Today’s session ({SESSION_STYLES[sessionToday.type].label}): {describeSession(sessionToday)}{sessionToday.note ? ` (${sessionToday.note})` : ""}.</li>
                   </ul>
                 </CardContent>
               </Card>
 
+              <Card className="bg-slate-900/60 border-slate-800 shadow-xl">
+                <CardContent className="p-6 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h3 className="font-semibold flex items-center gap-2"><HeartPulse className="h-5 w-5"/>Readiness</h3>
+                    {readiness && <Badge className={readiness.score >= 70 ? "bg-emerald-600/40" : readiness.score >= 50 ? "bg-amber-600/40" : "bg-rose-600/40"}>{readiness.score} · {readiness.label}</Badge>}
+                  </div>
+                  <div className="text-sm">
+                    <Label>Soreness today (1 none – 5 severe)</Label>
+                    <div className="flex gap-1 mt-1">
+                      {[1,2,3,4,5].map(n=> <Button key={n} size="sm" variant={soreness === n ? "default" : "outline"} onClick={()=>setSoreLog({ ...soreLog, [todaySeed()]: n })}>{n}</Button>)}
+                    </div>
+                  </div>
+                  {!readiness && <p className="text-sm text-slate-400">Log today's check-in, sleep, resting HR or soreness to get a score.</p>}
+                  {readiness?.parts.map(p=> (
+                    <div key={p.key} className="text-sm">
+                      <div className="flex justify-between"><span>{readinessDetail[p.key]}</span><span className="text-xs text-slate-400">{p.score} × {Math.round(p.weight * 100)}%</span></div>
+                      <div className="h-2 rounded-full bg-slate-800 mt-1"><div className={`h-2 rounded-full ${p.score >= 70 ? "bg-emerald-500" : p.score >= 50 ? "bg-amber-500" : "bg-rose-500"}`} style={{ width: `${p.score}%` }} /></div>
+                    </div>
+                  ))}
+                  {sessionToday?.from ? (
+                    <p className="text-sm text-amber-200">
+                      Session changed: {describeSession(sessionToday.from)} → <span className="font-semibold">{describeSession(sessionToday)}</span>{sessionToday.note ? ` (${sessionToday.note})` : ""}.
+                      {" "}Lowest input: {readinessDetail[[...readiness.parts].sort((a,b)=> a.score - b.score)[0].key]}.
+                    </p>
+                  ) : readiness && <p className="text-xs text-slate-400">{readiness.score >= 70 ? "Train as planned." : "Today's session already fits; keep effort honest."} Under 70 trims intervals, under 50 swaps them for Zone 2, under 30 makes it a recovery day.</p>}
+                </CardContent>
+              </Card>
+
               <Card className="bg-slate-900/60 border-slate-800 shadow-xl">
                 <CardContent className="p-6">
                   <h3 className="font-semibold flex items-center gap-2"><BarChart3 className="h-5 w-5"/>VO₂ Trend (local)</h3>
+                  {vo2Latest && <p className="text-sm text-slate-300 mt-1">Latest {vo2Latest.v} ({vo2Latest.d}): <span className="text-indigo-300">{standing(vo2Latest.v)}</span></p>}
                   <div className="h-48 mt-2">
                     <ResponsiveContainer width="100%" height="100%">
-                      <LineChart data={vo2Series} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                      <LineChart data={vo2Rows} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
                         <XAxis dataKey="d" hide />
-                        <YAxis domain={[0, 'dataMax + 10']} hide />
-                        <Tooltip formatter={(v)=>`${v} ml·kg⁻¹·min⁻¹`} labelFormatter={(l)=>`Date: ${l}`} />
-                        <ReferenceLine y={40} strokeDasharray="3 3" />
-                        <Line type="monotone" dataKey="v" dot={false} strokeWidth={2} />
+                        <YAxis domain={[0, (max)=> Math.max(max, vo2Norms[3]) + 5]} hide />
+                        <Tooltip formatter={(v, name)=>[`${v} ml·kg⁻¹·min⁻¹`, name]} labelFormatter={(l)=>`Date: ${l}`} />
+                        <Legend wrapperStyle={{ fontSize: 11 }} />
+                        {vo2Norms.map((y, i)=> <ReferenceLine key={y} y={y} strokeDasharray="3 3" stroke="#475569" label={{ value: VO2_CATEGORIES[i+1], position: "insideTopRight", fontSize: 10, fill: "#94a3b8" }} />)}
+                        {vo2Methods.map(m=> <Line key={m} type="monotone" dataKey={m} name={VO2_METHODS[m].label} stroke={VO2_METHODS[m].color} dot={{ r: 3 }} connectNulls strokeWidth={2} />)}
                       </LineChart>
                     </ResponsiveContainer>
                   </div>
@@ -361,6 +2009,88 @@ export default function TungstenStandardApp() {
             </div>
           </TabsContent>
 
+          {/* HISTORY */}
+          <TabsContent value="history" className="mt-6">
+            <Card className="bg-slate-900/60 border-slate-800">
+              <CardContent className="p-6">
+                <h3 className="font-semibold flex items-center gap-2"><CalendarDays className="h-5 w-5"/>Check-In History</h3>
+                {historyDays.length === 0 ? (
+                  <p className="text-sm text-slate-400 mt-2">No check-ins yet. Move any slider on the Coach tab to log today.</p>
+                ) : (
+                  <div className="grid gap-2 mt-3 text-sm">
+                    {historyDays.map((d,i)=> {
+                      const e = checkins[d];
+                      const prev = checkins[historyDays[i+1]];
+                      const delta = prev ? e.total - prev.total : null;
+                      return (
+                        <div key={d} className="rounded-xl bg-slate-800/60 p-3 flex flex-wrap items-center justify-between gap-2">
+                          <div className="font-semibold w-28">{d}</div>
+                          <div>{e.total}/105 {delta!=null && <span className={delta>=0?"text-emerald-300":"text-rose-300"}>({delta>=0?"+":""}{delta})</span>}</div>
+                          <Badge variant="secondary" className="capitalize">{e.tier}</Badge>
+                          <div className="text-slate-300">Sleep {e.sleepH} h · Water {e.liters} L</div>
+                          <Button size="sm" variant="secondary" onClick={()=>editPastDay(d)}>View / edit</Button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* TRENDS */}
+          <TabsContent value="trends" className="mt-6 space-y-6">
+            <div className="flex items-center justify-end gap-2 text-sm">
+              <Label>Window</Label>
+              <Select value={trendDays} onValueChange={setTrendDays}>
+                <SelectTrigger className="w-32 bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="30">30 days</SelectItem>
+                  <SelectItem value="90">90 days</SelectItem>
+                  <SelectItem value="180">180 days</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid lg:grid-cols-2 gap-6">
+              {partSeries.map(p=> (
+                <Card key={p.key} className="bg-slate-900/60 border-slate-800">
+                  <CardContent className="p-6">
+                    <div className="flex items-center justify-between">
+                      <h3 className="font-semibold flex items-center gap-2"><TrendingUp className="h-5 w-5"/>{p.label}</h3>
+                      <Button size="sm" variant="ghost" onClick={()=>setDrill(p.key)}>Drill down</Button>
+                    </div>
+                    <TrendChart data={p.data} />
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+            <Card className="bg-slate-900/60 border-slate-800">
+              <CardContent className="p-6 space-y-3">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <h3 className="font-semibold flex items-center gap-2"><BarChart3 className="h-5 w-5"/>Drill-Down: {drillLabel}</h3>
+                  <Select value={drill} onValueChange={setDrill}>
+                    <SelectTrigger className="w-72 bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {Q_PARTS.map(p=> <SelectItem key={p.key} value={p.key}>{p.label} (all)</SelectItem>)}
+                      {Q.map(q=> <SelectItem key={q.key} value={q.key}>{q.label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <TrendChart data={drillSeries} height="h-64" />
+                <div className="grid md:grid-cols-2 gap-4 text-sm">
+                  {[["Weekly (Mon start)", drillWeeks], ["Monthly", drillMonths]].map(([title, rows])=> (
+                    <div key={title} className="rounded-xl bg-slate-800/60 p-3">
+                      <div className="font-semibold mb-1">{title}</div>
+                      {rows.length === 0 ? <div className="text-slate-400">No check-ins yet.</div> : rows.map(r=> (
+                        <div key={r.period} className="flex justify-between"><span>{r.period}</span><span>{r.avg} <span className="text-xs text-slate-400">({r.n} d)</span></span></div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
           {/* VO2 */}
           <TabsContent value="vo2" className="mt-6">
             <div className="grid lg:grid-cols-3 gap-6">
@@ -371,6 +2101,7 @@ export default function TungstenStandardApp() {
                     <div>
                       <Label>Resting HR (bpm)</Label>
                       <Input type="number" min={35} max={120} value={hrRest} onChange={(e)=>setHrRest(Number(e.target.value)||0)} />
+                      <Button size="sm" variant="ghost" className="mt-1 px-0" disabled={!(number(hrRest) > 0)} onClick={()=>saveRhr([{ d: todaySeed(), v: number(hrRest) }])}>Log for trend</Button>
                     </div>
                     <div>
                       <Label>HRmax (override)</Label>
@@ -387,12 +2118,19 @@ export default function TungstenStandardApp() {
                     <div className="rounded-xl bg-slate-800/60 p-3">
                       <div className="font-semibold">Uth VO₂</div>
                       <div>{vo2_uth ? `${vo2_uth} ml·kg⁻¹·min⁻¹` : "—"}</div>
+                      <div className="text-xs text-indigo-300">{standing(vo2_uth)}</div>
+                      <Button size="sm" variant="ghost" className="mt-1 px-0" disabled={!vo2_uth} onClick={()=>saveVo2("uth", vo2_uth)}>Save today</Button>
                     </div>
                     <div className="rounded-xl bg-slate-800/60 p-3">
                       <div className="font-semibold">Cooper VO₂</div>
                       <div>{vo2_cooper ? `${vo2_cooper} ml·kg⁻¹·min⁻¹` : "—"}</div>
+                      <div className="text-xs text-indigo-300">{standing(vo2_cooper)}</div>
+                      <Button size="sm" variant="ghost" className="mt-1 px-0" disabled={!vo2_cooper} onClick={()=>saveVo2("cooper", vo2_cooper)}>Save today</Button>
                     </div>
                   </div>
+                  <div className="text-xs text-slate-400">
+                    Norms for {gender === "female" ? "women" : "men"} {vo2Rating(0, gender, Number(age)).band.replace("-", "–")}: {vo2Norms.map((t, i)=> `${VO2_CATEGORIES[i+1]} ≥${t}`).join(" · ")}
+                  </div>
                 </CardContent>
               </Card>
 
@@ -400,8 +2138,9 @@ export default function TungstenStandardApp() {
                 <CardContent className="p-6 space-y-2">
                   <h3 className="font-semibold flex items-center gap-2"><Target className="h-5 w-5"/>Today’s Cardio Prescription</h3>
                   <p className="text-sm text-slate-300">Tier: <span className="font-semibold text-indigo-300 capitalize">{plan.tier}</span></p>
-                  <p className="text-sm text-slate-300">Zone 2: <span className="font-semibold text-indigo-300">{plan.z2} min</span></p>
-                  <p className="text-sm text-slate-300">Intervals: <span className="font-semibold text-indigo-300">{plan.hard} × 1′ hard / 1′ easy</span></p>
+                  <p className="text-sm text-slate-300">Zone 2: <span className="font-semibold text-indigo-300">{cardioToday.z2} min</span></p>
+                  <p className="text-sm text-slate-300">Intervals: <span className="font-semibold text-indigo-300">{cardioToday.hard ? `${cardioToday.hard} × 1′ hard / 1′ easy` : "none today (Zone 2 instead)"}</span></p>
+                  {cardioToday.change && <p className="text-xs text-amber-300">Adjusted for readiness {readiness.score} ({readiness.label}); see the Coach tab.</p>}
                   <p className="text-xs text-slate-400">Warm up 8–12 min. HIIT 2–3×/wk; other days Zone 2 / brisk walk.</p>
                 </CardContent>
               </Card>
@@ -419,19 +2158,336 @@ export default function TungstenStandardApp() {
                   </div>
                 </CardContent>
               </Card>
-            </div>
-          </TabsContent>
 
-          {/* NUTRITION */}
-          <TabsContent value="nutrition" className="mt-6">
-            <div className="grid lg:grid-cols-3 gap-6">
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><FlaskConical className="h-5 w-5"/>Field Tests</h3>
+                  <div className="grid md:grid-cols-2 gap-3 text-sm">
+                    <div>
+                      <Label>Test</Label>
+                      <Select value={fieldTest.method} onValueChange={(v)=>setFt("method", v)}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {FIELD_TESTS.map(m=> <SelectItem key={m} value={m}>{VO2_METHODS[m].label}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label>Date</Label>
+                      <Input type="date" max={todaySeed()} value={fieldTest.d} onChange={(e)=>setFt("d", e.target.value)} />
+                    </div>
+                  </div>
+                  <p className="text-xs text-slate-400">{ftInfo.how}</p>
+                  <div className="grid md:grid-cols-4 gap-3 text-sm">
+                    {ftInfo.time && <>
+                      <div>
+                        <Label>{ftInfo.time} (min)</Label>
+                        <Input type="number" min={0} max={60} value={fieldTest.min} onChange={(e)=>setFt("min", e.target.value)} />
+                      </div>
+                      <div>
+                        <Label>(sec)</Label>
+                        <Input type="number" min={0} max={59} value={fieldTest.sec} onChange={(e)=>setFt("sec", e.target.value)} />
+                      </div>
+                    </>}
+                    {ftInfo.hr && (
+                      <div>
+                        <Label>{ftInfo.hr}</Label>
+                        <Input type="number" min={40} max={230} value={fieldTest.hr} onChange={(e)=>setFt("hr", e.target.value)} />
+                      </div>
+                    )}
+                    {fieldTest.method === "submax" && <>
+                      <div>
+                        <Label>Pace per</Label>
+                        <Select value={fieldTest.paceUnit} onValueChange={(v)=>setFt("paceUnit", v)}>
+                          <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="km">km</SelectItem>
+                            <SelectItem value="mile">mile</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div>
+                        <Label>Grade (%)</Label>
+                        <Input type="number" min={0} max={25} value={fieldTest.grade} onChange={(e)=>setFt("grade", e.target.value)} />
+                      </div>
+                    </>}
+                  </div>
+                  {fieldTest.method === "rockport" && <div className="text-xs text-slate-400">Uses profile weight ({Math.round(weightLb) || "—"} lb), age and sex.</div>}
+                  <div className="flex items-center gap-3">
+                    <div className="rounded-xl bg-slate-800/60 p-3 text-sm flex-1">
+                      <span className="font-semibold">{ftInfo.label}:</span> {fieldVo2 ? `${fieldVo2} ml·kg⁻¹·min⁻¹` : "—"}
+                      {fieldVo2 > 0 && <div className="text-xs text-indigo-300">{standing(fieldVo2)}</div>}
+                    </div>
+                    <Button disabled={!fieldVo2} onClick={()=>saveVo2(fieldTest.method, fieldVo2, fieldTest.d)}>Save result</Button>
+                  </div>
+                </CardContent>
+              </Card>
+
               <Card className="bg-slate-900/60 border-slate-800">
                 <CardContent className="p-6">
-                  <h3 className="font-semibold flex items-center gap-2"><FlaskConical className="h-5 w-5"/>Macros</h3>
+                  <h3 className="font-semibold flex items-center gap-2"><HeartPulse className="h-5 w-5"/>Resting HR Trend</h3>
+                  {rhr7 ? (
+                    <p className="text-sm text-slate-300 mt-1">
+                      7-day {round(rhr7, 1)} bpm{rhr28 ? <> · 28-day {round(rhr28, 1)} (<span className={rhr7 - rhr28 >= 3 ? "text-amber-300" : "text-emerald-300"}>{rhr7 - rhr28 >= 0 ? "+" : ""}{round(rhr7 - rhr28, 1)}</span>)</> : null}
+                    </p>
+                  ) : <p className="text-sm text-slate-400 mt-1">Log resting HR each morning or import a date + resting_hr CSV.</p>}
+                  <TrendChart data={rhrTrend} domain={["dataMin - 3", "dataMax + 3"]} />
+                  {rhr7 > 0 && Math.round(rhr7) !== number(hrRest) && <Button size="sm" variant="secondary" className="mt-2" onClick={()=>setHrRest(Math.round(rhr7))}>Use 7-day average ({Math.round(rhr7)}) as resting HR</Button>}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6">
+                  <h3 className="font-semibold flex items-center gap-2"><BarChart3 className="h-5 w-5"/>Saved VO₂ Results</h3>
+                  {!vo2Series.length && <p className="text-sm text-slate-400 mt-2">Nothing saved yet.</p>}
+                  <div className="space-y-1 mt-2 max-h-72 overflow-y-auto">
+                    {[...vo2Series].reverse().map(p=> (
+                      <div key={`${p.d}|${vo2MethodOf(p)}`} className="flex items-center justify-between text-sm rounded-lg bg-slate-800/60 px-3 py-1">
+                        <span><span className="font-mono">{p.d}</span> · <span style={{ color: VO2_METHODS[vo2MethodOf(p)].color }}>{VO2_METHODS[vo2MethodOf(p)].label}</span></span>
+                        <span className="flex items-center gap-2"><span className="font-semibold" title={standing(p.v)}>{p.v}</span><span className="text-xs text-slate-400">{vo2Rating(p.v, gender, Number(age)).category}</span><Button size="sm" variant="ghost" onClick={()=>removeVo2(p)}>×</Button></span>
+                      </div>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* TRAINING */}
+          <TabsContent value="training" className="mt-6">
+            <div className="grid lg:grid-cols-3 gap-6">
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-3">
+                <CardContent className="p-6 space-y-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h3 className="font-semibold flex items-center gap-2"><CalendarDays className="h-5 w-5"/>Training Calendar <Badge variant="secondary" className="capitalize">{plan.tier}</Badge></h3>
+                    <div className="flex flex-wrap gap-1">
+                      {meso.map((wk, w)=> (
+                        <Button key={w} size="sm" variant={w===calWeek ? "default" : "ghost"} onClick={()=>{ setCalWeek(w); setMoveFrom(null); }}>
+                          Week {w+1}{wk.deload ? " · deload" : ""}{w===blockWeek ? " •" : ""}
+                        </Button>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-7 gap-2">
+                    {calDays(calWeek).map((x, i)=> {
+                      const d = shiftDay(block.start, calWeek*7 + i);
+                      return (
+                        <div key={i} draggable role="button" tabIndex={0} aria-pressed={moveFrom===i}
+                          onDragStart={()=>setMoveFrom(i)}
+                          onDragEnd={()=>setMoveFrom(null)}
+                          onDragOver={(e)=>e.preventDefault()}
+                          onDrop={()=>{ if (moveFrom!=null && moveFrom!==i) moveDay(calWeek, moveFrom, i); setMoveFrom(null); }}
+                          onClick={()=>tapDay(calWeek, i)}
+                          onKeyDown={(e)=>{ if (e.key === "Enter" || e.key === " ") { e.preventDefault(); tapDay(calWeek, i); } }}
+                          className={`rounded-xl border p-3 text-sm cursor-move select-none ${SESSION_STYLES[x.type].cls} ${moveFrom===i ? "ring-2 ring-amber-300" : d===todaySeed() ? "ring-2 ring-indigo-400" : ""}`}>
+                          <div className="text-xs text-slate-400">{DAY_NAMES[i]} · {d.slice(5)}</div>
+                          <div className="font-semibold">{SESSION_STYLES[x.type].label}</div>
+                          <div className="text-xs text-slate-200">{describeSession(x)}</div>
+                          {x.note && <div className="text-xs text-amber-200 mt-1">{x.note}</div>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <div className="flex items-center justify-between text-xs text-slate-400">
+                    <span>{moveFrom != null ? `Tap another day to swap it with ${DAY_NAMES[moveFrom]} (tap ${DAY_NAMES[moveFrom]} again to cancel).` : "Drag a day onto another, or tap one and then another, to swap them."} The block restarts when your tier changes; week 4 is a deload.{gender==="female" ? (cycleMode === "auto" && cycleInfo.lastStart ? " Phase bias follows your cycle forecast." : " Phase bias applies to the current week.") : ""}</span>
+                    {block.orders[calWeek] && <Button size="sm" variant="ghost" onClick={()=>resetWeek(calWeek)}>Reset week</Button>}
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Dumbbell className="h-5 w-5"/>Log Session</h3>
+                  <div className="rounded-xl bg-slate-800/60 p-3 text-sm space-y-2">
+                    <Label className="flex items-center gap-1"><Upload className="h-4 w-4"/>Import from watch (.tcx, .gpx, .csv) — read on this device only</Label>
+                    <Input type="file" accept=".tcx,.gpx,.csv,text/csv,application/gpx+xml" onChange={(e)=>{ importActivity(e.target.files?.[0]); e.target.value = ""; }} />
+                    {fileMsg && <div className="text-xs text-slate-300">{fileMsg}</div>}
+                    {track && (
+                      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-300">
+                        <span>{track.d} · {track.minutes} min · {(track.distanceM/1000).toFixed(2)} km{track.avgHr ? ` · avg ${track.avgHr} bpm` : ""}</span>
+                        {track.cooperM > 0
+                          ? <Button size="sm" variant="secondary" onClick={applyTrackCooper}>Best 12 min: {track.cooperM} m → Cooper VO₂ {vo2Cooper(track.cooperM)}</Button>
+                          : <span className="text-slate-400">(no 12-min distance: needs GPS/distance and ≥12 min)</span>}
+                      </div>
+                    )}
+                    <div className="text-xs text-slate-400">CSV: time (ISO or seconds) + heart_rate, optional distance_m or lat/lon. A date + resting_hr CSV feeds the resting-HR trend.</div>
+                  </div>
+                  <div className="grid md:grid-cols-4 gap-3 text-sm">
+                    <div>
+                      <Label>Date</Label>
+                      <Input type="date" max={todaySeed()} value={session.d} onChange={(e)=>setSs("d", e.target.value)} />
+                    </div>
+                    <div>
+                      <Label>Modality</Label>
+                      <Select value={session.modality} onValueChange={(v)=>setSs("modality", v)}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700 capitalize"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {MODALITIES.map(m=> <SelectItem key={m} value={m} className="capitalize">{m}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label>Duration (min)</Label>
+                      <Input type="number" min={0} max={600} value={session.minutes} placeholder={splitTotal ? String(splitTotal) : ""} onChange={(e)=>setSs("minutes", e.target.value)} />
+                    </div>
+                    <div>
+                      <Label>Average HR (bpm)</Label>
+                      <Input type="number" min={40} max={230} value={session.avgHr} onChange={(e)=>setSs("avgHr", e.target.value)} />
+                      {number(session.avgHr) > 0 && <div className="text-xs text-slate-400 mt-1">{zones[zoneIndexForHr(number(session.avgHr), restHr, hrMax)].name}</div>}
+                    </div>
+                  </div>
+                  <div>
+                    <Label className="text-sm">Minutes per zone (optional — from your watch; overrides average HR)</Label>
+                    <div className="grid grid-cols-5 gap-2 mt-1">
+                      {zones.map((z, i)=> (
+                        <div key={z.name}>
+                          <div className="text-xs text-slate-400">{z.name.split(" ")[0]} · {z.hr}</div>
+                          <Input type="number" min={0} max={600} value={session.zoneMin[i]} onChange={(e)=>setSs("zoneMin", session.zoneMin.map((m, j)=> j===i ? e.target.value : m))} />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="flex items-end gap-3">
+                    <div className="w-48">
+                      <Label className="text-sm">Intervals completed (1′ hard)</Label>
+                      <Input type="number" min={0} max={40} value={session.intervals} onChange={(e)=>setSs("intervals", e.target.value)} />
+                    </div>
+                    <Button disabled={!(number(session.minutes) || splitTotal)} onClick={logSession}>Log session</Button>
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Target className="h-5 w-5"/>This Week vs Prescription</h3>
+                  {[["Zone 2", thisWeek.z2, thisWeek.target.z2, "min"], ["Intervals", thisWeek.hard, thisWeek.target.hard, "× 1′"]].map(([label, done, goal, u])=> (
+                    <div key={label} className="text-sm">
+                      <div className="flex justify-between"><span>{label}</span><span>{done} / {goal} {u}</span></div>
+                      <div className="h-2 rounded-full bg-slate-800 mt-1"><div className="h-2 rounded-full bg-indigo-500" style={{ width: `${Math.min(100, Math.round(done / goal * 100))}%` }} /></div>
+                    </div>
+                  ))}
+                  <p className="text-sm text-slate-300">Adherence: <span className="font-semibold text-indigo-300">{Math.round(thisWeek.pct * 100)}%</span> ({thisWeek.sessions} session{thisWeek.sessions===1 ? "" : "s"})</p>
+                  <div className="flex flex-wrap gap-2">
+                    <Badge className="bg-orange-600/40"><Flame className="h-3 w-3 mr-1"/>{streaks.days}-day streak</Badge>
+                    <Badge className="bg-emerald-600/40">{streaks.weeks} week{streaks.weeks===1 ? "" : "s"} on plan</Badge>
+                    <Badge variant="secondary">Best: {streaks.bestWeeks} wk</Badge>
+                  </div>
+                  <p className="text-xs text-slate-400">Weekly plan = Zone 2 ({plan.z2} min) on 5 days + {plan.hard} intervals on 2 days. A week is on plan at ≥{ADHERENCE_MET * 100}%.</p>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6">
+                  <h3 className="font-semibold flex items-center gap-2"><CalendarDays className="h-5 w-5"/>Weekly Adherence</h3>
+                  <div className="space-y-1 mt-2 text-sm">
+                    {weeks.map(w=> (
+                      <div key={w.week} className="flex items-center justify-between rounded-lg bg-slate-800/60 px-3 py-1">
+                        <span className="font-mono">{w.week}</span>
+                        <span className="text-xs text-slate-400">Z2 {w.z2}/{w.target.z2} · {w.hard}/{w.target.hard} int</span>
+                        <Badge variant="secondary" className={w.met ? "bg-emerald-600/40" : ""}>{Math.round(w.pct * 100)}%</Badge>
+                      </div>
+                    ))}
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6">
+                  <h3 className="font-semibold flex items-center gap-2"><Timer className="h-5 w-5"/>Sessions</h3>
+                  {!workouts.length && <p className="text-sm text-slate-400 mt-2">No sessions logged yet.</p>}
+                  <div className="space-y-2 mt-2 max-h-96 overflow-y-auto">
+                    {[...workouts].reverse().map(w=> {
+                      const zm = zoneMinutesOf(w, restHr, hrMax);
+                      return (
+                        <div key={w.id} className="rounded-xl bg-slate-800/60 p-3 text-sm flex items-center justify-between gap-3">
+                          <div>
+                            <div><span className="font-mono">{w.d}</span> · <span className="capitalize">{w.modality}</span> · {w.minutes} min{w.avgHr ? ` @ ${w.avgHr} bpm` : ""}{w.intervals ? ` · ${w.intervals} intervals` : ""}</div>
+                            <div className="text-xs text-slate-400">{zm.map((m, i)=> m ? `Z${i+1} ${m}′` : null).filter(Boolean).join(" · ") || "no zone data"}</div>
+                          </div>
+                          <Button size="sm" variant="ghost" onClick={()=>removeWorkout(w)}>Delete</Button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* NUTRITION */}
+          <TabsContent value="nutrition" className="mt-6">
+            <div className="grid lg:grid-cols-3 gap-6">
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-3">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Settings className="h-5 w-5"/>Nutrition Settings</h3>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                    <div>
+                      <Label>Protein target</Label>
+                      <Select value={nutrition.proteinModel} onValueChange={(v)=>setNut({ proteinModel: v })}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="kg">Per kg body weight</SelectItem>
+                          <SelectItem value="lean_lb">Per lb lean mass</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {nutrition.proteinModel === "kg" ? (
+                      <div><Label>Protein (g/kg)</Label><SettingInput min={0.8} max={3} step={0.1} value={nutrition.proteinPerKg} onSave={(v)=>setNut({ proteinPerKg: v })} /></div>
+                    ) : (
+                      <>
+                        <div><Label>Protein (g/lb lean)</Label><SettingInput min={0.5} max={1.5} step={0.05} value={nutrition.proteinPerLbLean} onSave={(v)=>setNut({ proteinPerLbLean: v })} /></div>
+                        <div><Label>Body fat (%)</Label><SettingInput min={3} max={60} value={round(nutrition.bodyFatPct * 100, 1)} onSave={(v)=>setNut({ bodyFatPct: v / 100 })} /></div>
+                      </>
+                    )}
+                    <div><Label>Fat (% of kcal)</Label><SettingInput min={15} max={45} value={round(nutrition.fatPct * 100, 1)} onSave={(v)=>setNut({ fatPct: v / 100 })} /></div>
+                    <div>
+                      <Label>Weekly rate</Label>
+                      <Select value={weeklyRate == null ? "formula" : String(weeklyRate)} onValueChange={(v)=>setWeeklyRate(v === "formula" ? null : Number(v))}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="formula">Formula (−{round(nutrition.cutPct * 100)}% cut / +{round(nutrition.gainPct * 100)}% gain)</SelectItem>
+                          {WEEKLY_RATES.map(r=> <SelectItem key={r} value={String(r)}>{r > 0 ? "+" : ""}{toUnitWeight(r)} {wUnit}/week{r === 0 ? " (maintain)" : ""}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    {weeklyRate == null && (
+                      <>
+                        <div><Label>Cut deficit (%)</Label><SettingInput min={5} max={30} value={round(nutrition.cutPct * 100, 1)} onSave={(v)=>setNut({ cutPct: v / 100 })} /></div>
+                        <div><Label>Gain surplus (%)</Label><SettingInput min={0} max={20} value={round(nutrition.gainPct * 100, 1)} onSave={(v)=>setNut({ gainPct: v / 100 })} /></div>
+                      </>
+                    )}
+                    <div>
+                      <Label>Diet style</Label>
+                      <Select value={nutrition.diet} onValueChange={(v)=>setNut({ diet: v })}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(DIET_STYLES).map(([k, d])=> <SelectItem key={k} value={k}>{d.label}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    {Object.entries(AVOIDANCES).map(([k, label])=> (
+                      <Button key={k} size="sm" variant={nutrition.avoid.includes(k) ? "default" : "outline"} onClick={()=>toggleAvoid(k)}>{label}</Button>
+                    ))}
+                    <Button size="sm" variant={nutrition.carbCycling ? "default" : "outline"} onClick={()=>setNut({ carbCycling: !nutrition.carbCycling })}>Carb cycling {nutrition.carbCycling ? "on" : "off"}</Button>
+                    <Button size="sm" variant="ghost" onClick={()=>setNutrition(NUTRITION_DEFAULTS)}>Reset</Button>
+                  </div>
+                  <p className="text-xs text-slate-400">
+                    Protein {macros.protein} g ({nutrition.proteinModel === "kg" ? `${nutrition.proteinPerKg} g/kg` : `${nutrition.proteinPerLbLean} g/lb of ${toUnitWeight(weightInKg * (1 - nutrition.bodyFatPct))} ${wUnit} lean`}).
+                    {nutrition.carbCycling ? ` Carb cycling follows the calendar: high on HIIT/strength (+20%), moderate on tempo/Z2, low on recovery (−30%); fat offsets so kcal hold. Today: ${todaySession ? describeSession(todaySession) : "no session"}.` : " Carbs fill the remaining calories evenly every day."}
+                  </p>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6">
+                  <h3 className="font-semibold flex items-center gap-2"><FlaskConical className="h-5 w-5"/>Macros</h3>
                   <div className="flex flex-wrap gap-2 mb-2">
                     <Badge>Protein: {macros.protein}g</Badge>
                     <Badge>Carbs: {macros.carbs}g</Badge>
                     <Badge>Fat: {macros.fat}g</Badge>
+                    {carbDay && <Badge className="capitalize">{carbDay} carb day</Badge>}
                   </div>
                   <div className="text-sm text-slate-300 space-y-1">
                     <div>Calories: <span className="font-semibold">{kcal}</span> kcal ({mode})</div>
@@ -439,7 +2495,7 @@ export default function TungstenStandardApp() {
                     <div>Fiber goal: <span className="font-semibold">{fiberTarget} g/day</span></div>
                     <div>Omega-3s: <span className="font-semibold">~2 g EPA+DHA/day</span></div>
                     {gender==="female" && (
-                      <div className="mt-2 text-xs">Phase: <span className="font-semibold">{cycle}</span> • Bias: {femaleAdj.bias} • Micros: {femaleAdj.micros.join(", ")}</div>
+                      <div className="mt-2 text-xs">Phase: <span className="font-semibold">{phase}</span> • Bias: {femaleAdj.bias} • Micros: {femaleAdj.micros.join(", ")}</div>
                     )}
                   </div>
                 </CardContent>
@@ -461,7 +2517,216 @@ export default function TungstenStandardApp() {
                 <CardContent className="p-6">
                   <h3 className="font-semibold flex items-center gap-2"><Flame className="h-5 w-5"/>Sample Meals ({mode})</h3>
                   <div className="grid grid-cols-1 gap-2 text-sm">
-                    {FOOD.meals[mode].map((m,i)=> <div key={i} className="rounded-xl bg-slate-800/60 p-3">{m}</div>)}
+                    {meals.map((m,i)=> <div key={i} className="rounded-xl bg-slate-800/60 p-3">{m.name}{m.swapped && <span className="ml-2 text-xs text-emerald-300">swapped for {DIET_STYLES[nutrition.diet].label.toLowerCase()}{nutrition.avoid.length ? ` / ${nutrition.avoid.map(a=> AVOIDANCES[a].toLowerCase()).join(", ")}` : ""}</span>}</div>)}
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><CalendarDays className="h-5 w-5"/>7-Day Meal Plan</h3>
+                  {!menu ? <p className="text-sm text-slate-400">No protein foods in the database fit {DIET_STYLES[nutrition.diet].label.toLowerCase()} with the current avoid list. Add one under Food Database.</p> : (
+                    <>
+                      <div className="flex flex-wrap gap-1">
+                        {menu.days.map((day, i)=> (
+                          <Button key={day.d} size="sm" variant={i === planDay ? "default" : "outline"} onClick={()=>setPlanDay(i)}>
+                            {DAY_NAMES[(new Date(`${day.d}T00:00:00Z`).getUTCDay() + 6) % 7]}{day.training ? " •" : ""}
+                          </Button>
+                        ))}
+                      </div>
+                      <div className="flex flex-wrap items-center justify-between gap-2 text-sm text-slate-300">
+                        <span>{shownPlan.d} · {shownPlan.session ? describeSession(shownPlan.session) : "no session planned"}</span>
+                        <span>{shownPlan.totals.kcal} / {shownPlan.kcal} kcal · P {shownPlan.totals.protein}/{shownPlan.macros.protein} · C {shownPlan.totals.carbs}/{shownPlan.macros.carbs} · F {shownPlan.totals.fat}/{shownPlan.macros.fat}</span>
+                      </div>
+                      <div className="grid md:grid-cols-2 gap-2 text-sm">
+                        {shownPlan.meals.map(m=> (
+                          <div key={m.meal} className="rounded-xl bg-slate-800/60 p-3">
+                            <div className="flex justify-between font-semibold">
+                              <span className="capitalize">{m.meal}{shownPlan.training && m.meal === "snack" ? " (pre-session)" : shownPlan.training && m.meal === "dinner" ? " (post-session)" : ""}</span>
+                              <span className="text-xs text-slate-400">{m.totals.kcal} kcal · P {m.totals.protein}</span>
+                            </div>
+                            {m.entries.map(e=> <div key={e.foodId} className="text-xs text-slate-300">{e.servings} × {e.name} <span className="text-slate-500">({servingOf(e.foodId)})</span></div>)}
+                          </div>
+                        ))}
+                      </div>
+                      <div className="flex items-center justify-between gap-2">
+                        <p className="text-xs text-slate-400">Training days (•) put the pre-session carbs in the snack and the post-session carbs at dinner. The plan reshuffles each day and follows your diet style.</p>
+                        <Button size="sm" variant="outline" onClick={()=>logPlanDay(shownPlan)}>{planLogged(shownPlan) ? "Replace in food log" : "Add to food log"}</Button>
+                      </div>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-2">
+                  <h3 className="font-semibold flex items-center gap-2"><ShoppingCart className="h-5 w-5"/>Grocery List (7 days)</h3>
+                  {menu?.grocery.map(g=> (
+                    <div key={g.foodId} className="flex justify-between text-sm">
+                      <span>{g.name}</span>
+                      <span className="text-slate-300">{g.servings} × {servingOf(g.foodId)}</span>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h3 className="font-semibold flex items-center gap-2"><UtensilsCrossed className="h-5 w-5"/>Food Log</h3>
+                    <div className="flex items-center gap-1">
+                      <Button size="sm" variant="ghost" onClick={()=>setFoodDay(shiftDay(foodDay,-1))}><ChevronLeft className="h-4 w-4"/></Button>
+                      <Input type="date" className="w-40" max={todaySeed()} value={foodDay} onChange={(e)=>e.target.value && setFoodDay(e.target.value)} />
+                      <Button size="sm" variant="ghost" disabled={foodDay>=todaySeed()} onClick={()=>setFoodDay(shiftDay(foodDay,1))}><ChevronRight className="h-4 w-4"/></Button>
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm items-end">
+                    <div>
+                      <Label>Meal</Label>
+                      <Select value={pick.meal} onValueChange={(v)=>setPick({ ...pick, meal: v })}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700 capitalize"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {MEALS.map(m=> <SelectItem key={m} value={m} className="capitalize">{m}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label>Food</Label>
+                      <Select value={pick.foodId} onValueChange={(v)=>setPick({ ...pick, foodId: v })}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue placeholder="Choose a food" /></SelectTrigger>
+                        <SelectContent>
+                          {foodDb.map(f=> <SelectItem key={f.id} value={f.id}>{f.name} ({f.serving})</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label>Servings</Label>
+                      <Input type="number" min={0} step={0.25} value={pick.servings} onChange={(e)=>setPick({ ...pick, servings: e.target.value })} />
+                    </div>
+                    <Button onClick={addFood}>Add</Button>
+                  </div>
+                  {!dayFood.length && <p className="text-sm text-slate-400">Nothing logged for {foodDay}.</p>}
+                  {MEALS.filter(m=> dayFood.some(e=> e.meal === m)).map(m=> {
+                    const items = dayFood.filter(e=> e.meal === m), t = sumNutrients(items);
+                    const low = lowMeals.some(x=> x.meal === m);
+                    return (
+                      <div key={m} className={`rounded-xl p-3 text-sm ${low ? "bg-amber-900/30 border border-amber-700/50" : "bg-slate-800/60"}`}>
+                        <div className="flex justify-between font-semibold">
+                          <span className="capitalize">{m}</span>
+                          <span>{t.kcal} kcal · P {t.protein} · C {t.carbs} · F {t.fat}</span>
+                        </div>
+                        {low && <div className="text-xs text-amber-300">Under the {pPerMeal} g protein floor by {round(pPerMeal - t.protein, 1)} g. Add a protein serving.</div>}
+                        {items.map(e=> (
+                          <div key={e.id} className="flex items-center justify-between text-xs text-slate-300">
+                            <span>{e.servings} × {e.name}</span>
+                            <span className="flex items-center gap-2">{e.kcal} kcal · P {e.protein}<Button size="sm" variant="ghost" onClick={()=>removeFood(e.id)}>×</Button></span>
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Target className="h-5 w-5"/>Remaining {foodDay === todaySeed() ? "Today" : foodDay}</h3>
+                  {NUTRIENTS.map(n=> {
+                    const goal = foodTargets[n.key] || 0, left = round(goal - eaten[n.key], 1);
+                    return (
+                      <div key={n.key} className="text-sm">
+                        <div className="flex justify-between">
+                          <span>{n.label}</span>
+                          <span className={left < 0 ? "text-amber-300" : ""}>{left < 0 ? `${-left}${n.unit} over` : `${left}${n.unit} left`} <span className="text-xs text-slate-400">({eaten[n.key]} / {goal})</span></span>
+                        </div>
+                        <div className="h-2 rounded-full bg-slate-800 mt-1"><div className={`h-2 rounded-full ${left < 0 ? "bg-amber-500" : "bg-emerald-500"}`} style={{ width: `${goal ? Math.min(100, Math.round(eaten[n.key] / goal * 100)) : 0}%` }} /></div>
+                      </div>
+                    );
+                  })}
+                  {lowMeals.length > 0 && <p className="text-xs text-amber-300">{lowMeals.length} meal(s) under the {pPerMeal} g protein floor.</p>}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-3">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><TrendingUp className="h-5 w-5"/>Weight Trend & Adaptive TDEE</h3>
+                  <div className="grid md:grid-cols-3 gap-6">
+                    <div className="space-y-3 text-sm">
+                      <div className="flex items-end gap-2">
+                        <div><Label>Day</Label><Input type="date" max={todaySeed()} value={weighDay} onChange={(e)=>setWeighDay(e.target.value)} /></div>
+                        <div className="w-24"><Label>Weight ({wUnit})</Label><Input type="number" min={0} step={0.1} value={weighValue} onChange={(e)=>setWeighValue(e.target.value)} /></div>
+                        <Button size="sm" onClick={logWeighIn}>Log</Button>
+                      </div>
+                      <div>
+                        <Label>TDEE source</Label>
+                        <Select value={useMeasured ? "measured" : "formula"} onValueChange={(v)=>setUseMeasured(v === "measured")}>
+                          <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="measured">Measured when available</SelectItem>
+                            <SelectItem value="formula">Formula only (BMR × activity)</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    </div>
+                    <div className="h-56 md:col-span-2">
+                      {chartWeights.length ? (
+                        <ResponsiveContainer width="100%" height="100%">
+                          <LineChart data={chartWeights} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                            <XAxis dataKey="d" hide />
+                            <YAxis domain={["dataMin - 1", "dataMax + 1"]} width={36} />
+                            <Tooltip labelFormatter={(l)=>`Date: ${l}`} />
+                            <Legend />
+                            <ReferenceLine y={toUnitWeight(goalKg)} strokeDasharray="3 3" stroke="#475569" label={{ value: "Goal", position: "insideTopRight", fontSize: 10, fill: "#94a3b8" }} />
+                            <Line name="Scale" dataKey="scale" stroke="transparent" dot={{ r: 2 }} isAnimationActive={false} />
+                            <Line name="Trend" type="monotone" dataKey="trend" stroke="#818cf8" dot={false} strokeWidth={2} />
+                          </LineChart>
+                        </ResponsiveContainer>
+                      ) : <p className="text-sm text-slate-400">Log a morning weigh-in most days; the trend line smooths out water swings.</p>}
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-sm">
+                    <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">Trend weight</div><div className="font-semibold">{trendNow ? `${toUnitWeight(trendNow)} ${wUnit}` : "—"}</div></div>
+                    <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">Actual rate</div><div className="font-semibold">{adaptive ? `${adaptive.kgPerWeek > 0 ? "+" : ""}${toUnitWeight(adaptive.kgPerWeek)} ${wUnit}/wk` : "—"}</div></div>
+                    <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">TDEE formula / measured</div><div className="font-semibold">{tdeeFrom(bmr, activity)} / {adaptive ? adaptive.tdee : "—"}</div></div>
+                    <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">Target</div><div className="font-semibold">{kcal} kcal</div></div>
+                    <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">Goal date (plan)</div><div className="font-semibold">{goalDatePlan || "—"}</div></div>
+                  </div>
+                  <div className="text-xs text-slate-400 space-y-1">
+                    {adaptive
+                      ? <p>Measured over {adaptive.span} days: you ate {adaptive.avgIntake} kcal/day on {adaptive.loggedDays} logged days while the trend moved {toUnitWeight(adaptive.kgPerWeek)} {wUnit}/week. {goalDateTrend ? `At that pace you reach your goal on ${goalDateTrend}.` : "At that pace the trend is not heading toward your goal."}</p>
+                      : <p>Measured TDEE needs 2+ weeks of weigh-ins and food logged on at least half of those days. Until then targets use the formula.</p>}
+                    {stalled && <p className="text-amber-300">Stalled: the trend has been flat for {adaptive.span} days while you are {toUnitWeight(Math.abs(goalKg - trendNow))} {wUnit} from goal.{useMeasured ? ` The target now starts from your measured ${adaptive.tdee} kcal.` : " Switch TDEE source to measured to correct the target."}</p>}
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-3">
+                <CardContent className="p-6 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <h3 className="font-semibold flex items-center gap-2"><FlaskConical className="h-5 w-5"/>Food Database</h3>
+                    <Button size="sm" variant="ghost" onClick={restoreSeedFoods}>Restore default foods</Button>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-8 gap-2 text-sm items-end">
+                    <div className="col-span-2"><Label>Name</Label><Input value={foodForm.name} onChange={(e)=>setFoodForm({ ...foodForm, name: e.target.value })} /></div>
+                    <div><Label>Serving</Label><Input value={foodForm.serving} onChange={(e)=>setFoodForm({ ...foodForm, serving: e.target.value })} /></div>
+                    {NUTRIENTS.map(n=> (
+                      <div key={n.key}><Label>{n.label}{n.unit ? ` (${n.unit})` : ""}</Label><Input type="number" min={0} value={foodForm[n.key]} onChange={(e)=>setFoodForm({ ...foodForm, [n.key]: e.target.value })} /></div>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={saveFood}>{foodForm.id ? "Save changes" : "Add food"}</Button>
+                    {foodForm.id && <Button size="sm" variant="ghost" onClick={()=>setFoodForm(blankFood)}>Cancel</Button>}
+                  </div>
+                  <div className="grid md:grid-cols-3 gap-2 text-xs max-h-64 overflow-y-auto">
+                    {foodDb.map(f=> (
+                      <div key={f.id} className="flex items-center justify-between rounded-lg bg-slate-800/60 px-3 py-1">
+                        <span><span className="font-semibold text-slate-200">{f.name}</span> · {f.serving} · {f.kcal} kcal · P {f.protein} C {f.carbs} F {f.fat} Fib {f.fiber}</span>
+                        <span className="flex">
+                          <Button size="sm" variant="ghost" onClick={()=>setFoodForm({ ...blankFood, ...f })}>Edit</Button>
+                          <Button size="sm" variant="ghost" onClick={()=>deleteFood(f.id)}>×</Button>
+                        </span>
+                      </div>
+                    ))}
                   </div>
                 </CardContent>
               </Card>
@@ -474,20 +2739,36 @@ export default function TungstenStandardApp() {
               <Card className="bg-slate-900/60 border-slate-800">
                 <CardContent className="p-6 space-y-2">
                   <h3 className="font-semibold flex items-center gap-2"><Droplets className="h-5 w-5"/>Hydration</h3>
-                  <p className="text-sm text-slate-300">Target: <span className="font-semibold">{liters} L</span> water + <span className="font-semibold">{sodium} mg</span> sodium</p>
-                  <p className="text-sm text-slate-300"><Moon className="inline h-4 w-4 mr-1"/>Sleep: <span className="font-semibold">{sleepH} h</span></p>
+                  <p className="text-sm text-slate-300">Target: <span className="font-semibold">{waterGoalL} L</span> water + <span className="font-semibold">{sodium + sessionSodium} mg</span> sodium</p>
+                  {sessionMl > 0 && <p className="text-xs text-slate-400">Base {liters} L / {sodium} mg + {round(sessionMl / 1000, 1)} L / {sessionSodium} mg for today's training.</p>}
+                  <div className="text-sm">
+                    <div className="flex justify-between"><span>Drunk today</span><span>{drankL} / {waterGoalL} L</span></div>
+                    <div className="h-2 rounded-full bg-slate-800 mt-1"><div className="h-2 rounded-full bg-sky-500" style={{ width: `${Math.min(100, Math.round(drankL / waterGoalL * 100))}%` }} /></div>
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {[250, 500, 750].map(ml=> <Button key={ml} size="sm" variant="outline" onClick={()=>addWater(ml)}>+{ml} ml</Button>)}
+                    <Button size="sm" variant="ghost" disabled={!drankL} onClick={()=>addWater(-250)}>−250</Button>
+                  </div>
+                  <p className="text-sm text-slate-300"><Moon className="inline h-4 w-4 mr-1"/>Sleep: <span className="font-semibold">{sleepH} h</span>{debt ? ` · debt ${debt.debtH} h (7 nights)` : ""}</p>
                 </CardContent>
               </Card>
 
               <Card className="bg-slate-900/60 border-slate-800">
                 <CardContent className="p-6 space-y-2">
-                  <h3 className="font-semibold flex items-center gap-2"><Waves className="h-5 w-5"/>Cold Exposure</h3>
-                  <ul className="list-disc list-inside text-sm text-slate-300 space-y-1">
-                    <li>Rebuild: 50–59°F · 1–2 min · 2–3×/wk</li>
-                    <li>Build: 48–57°F · 2–4 min · 3×/wk</li>
-                    <li>Perform: 45–55°F · 3–5 min · 3–4×/wk</li>
-                    <li className="text-xs text-slate-400">Avoid immediately after heavy lifting; okay after Zone 2.</li>
-                  </ul>
+                  <h3 className="font-semibold flex items-center gap-2"><Waves className="h-5 w-5"/>Cold & Heat Today</h3>
+                  <p className="text-xs text-slate-400">For {loggedType ? `today's logged ${loggedToday.map(w=> w.modality).join(" + ")}${loggedType === "strength" ? "" : ` (${SESSION_STYLES[loggedType].label})`}` : sessionToday ? `the planned ${describeSession(sessionToday)}` : "a rest day"}.</p>
+                  {exposureFlags.map((f, i)=> <p key={i} className={`text-xs ${f.level === "stop" ? "text-rose-300 font-semibold" : "text-amber-300"}`}>{f.text}</p>)}
+                  <div className="rounded-xl bg-slate-800/60 p-3 text-sm">
+                    <div className="font-semibold">Cold: {cold.recommend ? `${showTemp(cold.tempRange[0])}–${showTemp(cold.tempRange[1])} · ${cold.minutes} min` : "skip today"}</div>
+                    <div className="text-xs text-slate-300">{cold.why}</div>
+                    {cold.recommend && <div className="text-xs text-slate-400">{cold.timing}</div>}
+                  </div>
+                  <div className="rounded-xl bg-slate-800/60 p-3 text-sm">
+                    <div className="font-semibold">Sauna: {sauna.recommend ? `${showTemp(sauna.tempC[0])}–${showTemp(sauna.tempC[1])} · ${sauna.minutes} min` : "skip today"}</div>
+                    <div className="text-xs text-slate-300">{sauna.why}</div>
+                    {sauna.recommend && <div className="text-xs text-slate-400">{sauna.timing}</div>}
+                  </div>
+                  <p className="text-xs text-slate-400">Get out at once for chest pain, dizziness, numbness or shivering you can't control. Never plunge alone or hold your breath under water.</p>
                 </CardContent>
               </Card>
 
@@ -501,6 +2782,267 @@ export default function TungstenStandardApp() {
                   </ul>
                 </CardContent>
               </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Flame className="h-5 w-5"/>Exposure Log</h3>
+                  {Object.entries(EXPOSURE_TARGETS).map(([k, goal])=> (
+                    <div key={k} className="text-sm">
+                      <div className="flex justify-between"><span className="capitalize">{k} this week</span><span>{weekDose[k]} / {goal} min</span></div>
+                      <div className="h-2 rounded-full bg-slate-800 mt-1"><div className={`h-2 rounded-full ${k === "cold" ? "bg-sky-500" : "bg-orange-500"}`} style={{ width: `${Math.min(100, Math.round(weekDose[k] / goal * 100))}%` }} /></div>
+                    </div>
+                  ))}
+                  <div className="grid grid-cols-3 gap-2 text-sm items-end">
+                    <div>
+                      <Label>Type</Label>
+                      <Select value={exposure.kind} onValueChange={(v)=>setExposure({ ...exposure, kind: v })}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700 capitalize"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="cold">Cold</SelectItem>
+                          <SelectItem value="sauna">Sauna</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div><Label>Temp (°{unit === "imperial" ? "F" : "C"})</Label><Input type="number" value={exposure.temp} onChange={(e)=>setExposure({ ...exposure, temp: e.target.value })} /></div>
+                    <div><Label>Minutes</Label><Input type="number" min={0} step={0.5} value={exposure.minutes} onChange={(e)=>setExposure({ ...exposure, minutes: e.target.value })} /></div>
+                  </div>
+                  <Button size="sm" onClick={logExposure}>Log exposure</Button>
+                  {exposures.slice(-5).reverse().map(e=> (
+                    <div key={e.id} className="flex items-center justify-between text-xs text-slate-300">
+                      <span className="capitalize">{e.d} · {e.kind} · {showTemp(e.tempC)} · {e.minutes} min</span>
+                      <Button size="sm" variant="ghost" onClick={()=>setExposures(exposures.filter(x=> x.id !== e.id))}>×</Button>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Moon className="h-5 w-5"/>Sleep Log</h3>
+                  <div className="flex flex-wrap items-end gap-2 text-sm">
+                    <div><Label>Woke on</Label><Input type="date" max={todaySeed()} value={night.d} onChange={(e)=>e.target.value && setNight({ ...night, d: e.target.value })} /></div>
+                    <div><Label>Bed</Label><Input type="time" value={night.bed} onChange={(e)=>setNight({ ...night, bed: e.target.value })} /></div>
+                    <div><Label>Wake</Label><Input type="time" value={night.wake} onChange={(e)=>setNight({ ...night, wake: e.target.value })} /></div>
+                    <div className="w-28">
+                      <Label>Quality</Label>
+                      <Select value={night.quality || "none"} onValueChange={(v)=>setNight({ ...night, quality: v === "none" ? "" : v })}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="none">—</SelectItem>
+                          {[1,2,3,4,5].map(n=> <SelectItem key={n} value={String(n)}>{n}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <Button size="sm" onClick={logNight} disabled={sleepDuration(night.bed, night.wake) == null}>Log night</Button>
+                    <span className="text-xs text-slate-400">{sleepDuration(night.bed, night.wake) ?? "—"} h</span>
+                  </div>
+                  <div className="grid md:grid-cols-3 gap-4">
+                    <div className="text-sm space-y-1">
+                      {debt ? (
+                        <>
+                          <div>Sleep debt: <span className={`font-semibold ${debt.debtH >= 3 ? "text-amber-300" : ""}`}>{debt.debtH} h</span></div>
+                          <div className="text-xs text-slate-400">Avg {debt.avgH} h over {debt.nights} logged night(s) vs {sleepH} h target.</div>
+                          {debt.debtH >= 3 && <div className="text-xs text-amber-300">Repay with earlier bedtimes, not a long lie-in: keep wake time fixed.</div>}
+                        </>
+                      ) : <p className="text-slate-400">Log bed and wake times to see your 7-night debt.</p>}
+                      {Object.keys(sleepLog).sort().reverse().slice(0, 7).map(d=> (
+                        <div key={d} className="flex items-center justify-between text-xs text-slate-300">
+                          <span>{d} · {sleepLog[d].bed}–{sleepLog[d].wake} · {sleepDuration(sleepLog[d].bed, sleepLog[d].wake)} h{sleepLog[d].quality ? ` · Q${sleepLog[d].quality}` : ""}</span>
+                          <Button size="sm" variant="ghost" onClick={()=>removeNight(d)}>×</Button>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="h-48 md:col-span-2">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={sleepChart} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                          <XAxis dataKey="d" hide />
+                          <YAxis domain={[4, 10]} width={28} />
+                          <Tooltip labelFormatter={(l)=>`Night to ${l}`} />
+                          <Legend />
+                          <ReferenceLine y={sleepH} strokeDasharray="3 3" stroke="#475569" label={{ value: "Target", position: "insideTopRight", fontSize: 10, fill: "#94a3b8" }} />
+                          <Line name="Hours" dataKey="hours" stroke="#818cf8" connectNulls dot={{ r: 2 }} isAnimationActive={false} />
+                          <Line name="7-night avg" dataKey="avg7" stroke="#34d399" dot={false} isAnimationActive={false} />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Timer className="h-5 w-5"/>Chronotype & Schedule</h3>
+                  {chrono.type ? (
+                    <div className="text-sm space-y-1">
+                      <div><span className="font-semibold">{CHRONOTYPES[chrono.type].label}</span> <span className="text-xs text-slate-400">{CHRONOTYPES[chrono.type].note}</span></div>
+                      <div>Wake <span className="font-semibold">{schedule.wake}</span> <span className="text-xs text-slate-400">(window {schedule.wakeWindow.join("–")}, weekends too)</span></div>
+                      <div>Bed <span className="font-semibold">{schedule.bed}</span>{schedule.paybackMin > 0 && <span className="text-xs text-slate-400"> (incl. {schedule.paybackMin} min debt payback)</span>}</div>
+                      <div>Caffeine cutoff <span className="font-semibold">{schedule.caffeineCutoff}</span></div>
+                      <div>Screens off <span className="font-semibold">{schedule.screensOff}</span> · wind-down {schedule.windDown}</div>
+                      <div className="flex items-end gap-2 pt-1">
+                        <div><Label>Fixed wake (practice)</Label><Input type="time" value={chrono.wake} onChange={(e)=>setChrono({ ...chrono, wake: e.target.value })} /></div>
+                        <Button size="sm" variant="ghost" onClick={()=>setChrono({ ...chrono, type: "", answers: [] })}>Retake quiz</Button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="space-y-2 text-sm">
+                      <p className="text-xs text-slate-400">Five questions (Breus) to anchor your wake time.</p>
+                      {CHRONO_QUIZ.map((item, i)=> (
+                        <div key={i}>
+                          <Label>{item.q}</Label>
+                          <Select value={chrono.answers?.[i] || ""} onValueChange={(v)=>answerChrono(i, v)}>
+                            <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue placeholder="Choose" /></SelectTrigger>
+                            <SelectContent>
+                              {item.options.map(([label, type])=> <SelectItem key={type} value={type}>{label}</SelectItem>)}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-3">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <h3 className="font-semibold flex items-center gap-2"><Droplets className="h-5 w-5"/>Session Fluids & Electrolytes</h3>
+                    <Select value={heat} onValueChange={setHeat}>
+                      <SelectTrigger className="w-36 bg-slate-800 border-slate-700 capitalize"><SelectValue /></SelectTrigger>
+                      <SelectContent>
+                        {Object.keys(HEAT).map(h=> <SelectItem key={h} value={h} className="capitalize">{h}</SelectItem>)}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <p className="text-xs text-slate-400">
+                    {sweatTest ? `Sweat rate ${sweatTest.lPerH} L/h (test ${sweatTest.d}, ${sweatTest.heat})${sweatTest.salty ? ", salty sweater" : ""}.` : `No sweat test yet: using ${DEFAULT_SWEAT_LPH} L/h. Run one below for your own numbers.`}
+                  </p>
+                  {!fluidSessions.length && <p className="text-sm text-slate-400">No session logged or planned today. The base target covers it.</p>}
+                  {fluidSessions.map(x=> (
+                    <div key={x.id} className="rounded-xl bg-slate-800/60 p-3 text-sm space-y-1">
+                      <div className="font-semibold capitalize">{x.label}</div>
+                      <div className="grid md:grid-cols-3 gap-2 text-xs text-slate-300">
+                        <div><span className="text-slate-400">Before (2–4 h):</span> {x.plan.before.ml} ml + {x.plan.before.sodiumMg} mg sodium</div>
+                        <div><span className="text-slate-400">During:</span> {x.plan.during.ml ? `${x.plan.during.mlPerH} ml/h (${x.plan.during.ml} ml) + ${x.plan.during.sodiumMg} mg sodium` : "sip to thirst"}</div>
+                        <div><span className="text-slate-400">After:</span> {x.plan.after.ml} ml + {x.plan.after.sodiumMg} mg sodium over 2–4 h</div>
+                      </div>
+                      <div className="text-xs text-slate-400">Expected sweat {round(x.plan.sweatMl / 1000, 1)} L at {x.plan.sweatLph} L/h{x.plan.lossPctIfDry > 2 ? ` · ${x.plan.lossPctIfDry}% of body mass if you drink nothing, so don't skip the during bottle` : ""}.</div>
+                    </div>
+                  ))}
+                  <p className="text-xs text-slate-400">Two sessions in a day: finish the first one's "after" fluids before the second one starts. Cramping or a salty crust on kit usually means you need more sodium, not more plain water.</p>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Timer className="h-5 w-5"/>Sweat-Rate Test</h3>
+                  <p className="text-xs text-slate-400">Weigh nude and towel-dry before and after a steady ~60 min session. Measure what you drink and pee.</p>
+                  <div className="grid grid-cols-2 gap-2 text-sm">
+                    <div><Label>Date</Label><Input type="date" max={todaySeed()} value={sweatForm.d} onChange={(e)=>e.target.value && setSw("d", e.target.value)} /></div>
+                    <div><Label>Minutes</Label><Input type="number" min={1} value={sweatForm.minutes} onChange={(e)=>setSw("minutes", e.target.value)} /></div>
+                    <div><Label>Pre weight ({wUnit})</Label><Input type="number" min={0} step={0.1} value={sweatForm.pre} onChange={(e)=>setSw("pre", e.target.value)} /></div>
+                    <div><Label>Post weight ({wUnit})</Label><Input type="number" min={0} step={0.1} value={sweatForm.post} onChange={(e)=>setSw("post", e.target.value)} /></div>
+                    <div><Label>Fluid in (ml)</Label><Input type="number" min={0} value={sweatForm.fluidMl} onChange={(e)=>setSw("fluidMl", e.target.value)} /></div>
+                    <div><Label>Urine (ml)</Label><Input type="number" min={0} value={sweatForm.urineMl} onChange={(e)=>setSw("urineMl", e.target.value)} /></div>
+                    <div>
+                      <Label>Conditions</Label>
+                      <Select value={sweatForm.heat} onValueChange={(v)=>setSw("heat", v)}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700 capitalize"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          {Object.keys(HEAT).map(h=> <SelectItem key={h} value={h} className="capitalize">{h}</SelectItem>)}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="flex items-end"><Button size="sm" variant={sweatForm.salty ? "default" : "outline"} onClick={()=>setSw("salty", !sweatForm.salty)}>Salty sweater</Button></div>
+                  </div>
+                  <div className="flex items-center justify-between text-sm">
+                    <span>{sweatPreview ? `${sweatPreview.lPerH} L/h · ${sweatPreview.massLossPct}% mass lost` : "Enter both weights and the duration."}</span>
+                    <Button size="sm" disabled={!canSaveSweat} onClick={saveSweatTest}>Save</Button>
+                  </div>
+                  {sweatTests.slice().reverse().map(t=> (
+                    <div key={t.id} className="flex items-center justify-between text-xs text-slate-300">
+                      <span>{t.d} · {t.lPerH} L/h · {t.heat}{t.salty ? " · salty" : ""}</span>
+                      <Button size="sm" variant="ghost" onClick={()=>removeSweatTest(t.id)}>×</Button>
+                    </div>
+                  ))}
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          {/* RELATIONSHIPS */}
+          <TabsContent value="relationships" className="mt-6">
+            <div className="grid lg:grid-cols-3 gap-6">
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><TrendingUp className="h-5 w-5"/>Relationship Health (7-day avg)</h3>
+                  <div className="h-56">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={relSeries} margin={{ top: 5, right: 10, bottom: 5, left: 0 }}>
+                        <XAxis dataKey="d" hide />
+                        <YAxis domain={[1, 5]} ticks={[1,2,3,4,5]} width={24} />
+                        <Tooltip labelFormatter={(l)=>`Date: ${l}`} />
+                        <Legend />
+                        <Line name="You" type="monotone" dataKey="me" stroke="#818cf8" dot={false} strokeWidth={2} connectNulls />
+                        {partner.name && <Line name={partner.name} type="monotone" dataKey="partner" stroke="#f472b6" dot={false} strokeWidth={2} connectNulls />}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="grid md:grid-cols-2 gap-4 text-sm">
+                    <div className="rounded-xl bg-slate-800/60 p-3 space-y-1">
+                      <div className="font-semibold">Last 7 days by item</div>
+                      {REL_KEYS.map(k=> (
+                        <div key={k} className="flex justify-between"><span>{shortLabel(k)}</span><span className={relScores[k] != null && relScores[k] <= 2.5 ? "text-amber-300" : ""}>{relScores[k] ?? "—"}</span></div>
+                      ))}
+                    </div>
+                    <div className="rounded-xl bg-slate-800/60 p-3 space-y-1">
+                      <div className="font-semibold">Weekly (Mon start)</div>
+                      {!relWeeks.length && <div className="text-slate-400">No check-ins yet.</div>}
+                      {relWeeks.map(r=> <div key={r.period} className="flex justify-between"><span>{r.period}</span><span>{r.avg} <span className="text-xs text-slate-400">({r.n}d)</span></span></div>)}
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-2">
+                  <h3 className="font-semibold flex items-center gap-2"><Target className="h-5 w-5"/>This Week's Exercise</h3>
+                  <Badge variant="secondary">{shortLabel(exercise.key)}</Badge>
+                  <div className="font-semibold">{exercise.title}</div>
+                  <p className="text-sm text-slate-300">{exercise.how}</p>
+                  <p className="text-xs text-slate-400">Chosen for your lowest relationship item over the last 7 days; a new one rotates in each Monday.</p>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Users className="h-5 w-5"/>Partner Check-In</h3>
+                  <div><Label>Partner's name</Label><Input value={partner.name} placeholder="Optional" onChange={(e)=>setPartner({ ...partner, name: e.target.value })} /></div>
+                  {partner.name && REL_KEYS.map(k=> (
+                    <div key={k} className="rounded-xl bg-slate-800/60 p-3">
+                      <div className="flex items-center justify-between text-sm"><span>{Q.find(q=> q.key === k).label}</span><span className="text-pink-300 font-semibold">{partnerToday[k] ?? "—"}</span></div>
+                      <div className="flex gap-1 mt-2">
+                        {[1,2,3,4,5].map(n=> <Button key={n} size="sm" className="flex-1" variant={partnerToday[k] === n ? "default" : "outline"} onClick={()=>setPartnerAnswer(k, n)}>{n}</Button>)}
+                      </div>
+                    </div>
+                  ))}
+                  {partner.name && <p className="text-xs text-slate-400">{partner.log[todaySeed()] ? `Saved ${Object.keys(partnerToday).length}/${REL_KEYS.length} for today.` : "Tap a score to save it; items left blank stay out of trends and comparisons."} Answer privately, then compare together.</p>}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800 lg:col-span-2">
+                <CardContent className="p-6 space-y-2">
+                  <h3 className="font-semibold flex items-center gap-2"><BarChart3 className="h-5 w-5"/>Where You Differ{sharedDay ? ` (${sharedDay})` : ""}</h3>
+                  {!sharedDay && <p className="text-sm text-slate-400">Once you and your partner both check in on the same day, the items you see differently show up here.</p>}
+                  {relGaps.map(g=> (
+                    <div key={g.key} className={`flex items-center justify-between rounded-lg px-3 py-1 text-sm ${Math.abs(g.gap) >= 2 ? "bg-amber-900/30 border border-amber-700/50" : "bg-slate-800/60"}`}>
+                      <span>{shortLabel(g.key)}</span>
+                      <span>You {g.me} · {partner.name || "Partner"} {g.partner}{g.gap ? ` (${g.gap > 0 ? "+" : ""}${g.gap})` : " ✓"}</span>
+                    </div>
+                  ))}
+                  {relGaps.some(g=> Math.abs(g.gap) >= 2) && <p className="text-xs text-slate-400">Start with the biggest gap. Each of you says what a 5 would look like, and the other summarizes it before responding.</p>}
+                </CardContent>
+              </Card>
             </div>
           </TabsContent>
 
@@ -509,17 +3051,81 @@ export default function TungstenStandardApp() {
             <div className="grid lg:grid-cols-2 gap-6">
               <Card className="bg-slate-900/60 border-slate-800">
                 <CardContent className="p-6">
-                  <h3 className="font-semibold flex items-center gap-2"><BookOpen className="h-5 w-5"/>Verse of the Day</h3>
+                  <div className="flex items-center justify-between">
+                    <h3 className="font-semibold flex items-center gap-2"><BookOpen className="h-5 w-5"/>Verse of the Day</h3>
+                    <Badge variant="secondary">{content.themes[verse.theme]?.label || verse.theme}</Badge>
+                  </div>
                   <blockquote className="bg-slate-800/50 rounded-2xl p-4 border border-slate-700 mt-2">
                     <p className="italic">“{verse.text}”</p>
-                    <div className="text-right mt-2 text-slate-300">— {verse.ref} (NKJV)</div>
+                    <div className="text-right mt-2 text-slate-300">— {verse.ref} ({verse.translation || "NKJV"})</div>
                   </blockquote>
+                  <p className="text-xs text-slate-400 mt-2">Theme follows your weakest check-in domains; verses rotate without repeats until the theme's pool runs out.</p>
                 </CardContent>
               </Card>
               <Card className="bg-slate-900/60 border-slate-800">
-                <CardContent className="p-6">
+                <CardContent className="p-6 space-y-2">
                   <h3 className="font-semibold flex items-center gap-2"><Sparkles className="h-5 w-5"/>Daily Prayer</h3>
-                  <Textarea className="bg-slate-800/60 border-slate-700 mt-2" rows={5} value={prayer} readOnly />
+                  <Textarea className="bg-slate-800/60 border-slate-700 mt-2" rows={4} value={prayer} readOnly />
+                  <div className="text-sm text-slate-300">Self-talk:</div>
+                  <ul className="list-disc list-inside text-sm text-slate-300">
+                    {selfTalk.map(t=> <li key={t}>{t}</li>)}
+                  </ul>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><CalendarDays className="h-5 w-5"/>Reading Plan</h3>
+                  <Select value={reading.active || ""} onValueChange={startPlan}>
+                    <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue placeholder="Choose a plan" /></SelectTrigger>
+                    <SelectContent>
+                      {content.plans.map(p=> <SelectItem key={p.id} value={p.id}>{p.title}{reading.plans[p.id] ? ` · ${reading.plans[p.id].done.length}/${p.days}` : ""}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                  {activePlan && planState && (() => {
+                    const r = planReading(activePlan, content, planIdx);
+                    const read = planState.done.includes(planIdx);
+                    return (
+                      <>
+                        <div className="flex items-center justify-between text-sm">
+                          <Button size="sm" variant="ghost" disabled={planIdx <= 0} onClick={()=>setPlanView(planIdx - 1)}><ChevronLeft className="h-4 w-4"/></Button>
+                          <span>Day {planIdx + 1} of {activePlan.days}{planIdx === planToday ? " (today)" : ""}</span>
+                          <Button size="sm" variant="ghost" disabled={planIdx >= planToday} onClick={()=>setPlanView(planIdx + 1)}><ChevronRight className="h-4 w-4"/></Button>
+                        </div>
+                        {r && (
+                          <blockquote className="bg-slate-800/50 rounded-2xl p-4 border border-slate-700">
+                            <p className="italic">“{r.text}”</p>
+                            <div className="text-right mt-2 text-slate-300">— {r.ref}</div>
+                            {r.reflection && <p className="text-xs text-slate-400 mt-2">{r.reflection}</p>}
+                          </blockquote>
+                        )}
+                        <div className="flex items-center justify-between gap-2">
+                          <Button size="sm" variant={read ? "default" : "outline"} onClick={()=>toggleRead(planIdx)}>{read ? "Read ✓" : "Mark as read"}</Button>
+                          <span className="text-xs text-slate-400">{planState.done.length}/{activePlan.days} read · started {planState.start}</span>
+                        </div>
+                        <div className="h-2 rounded-full bg-slate-800"><div className="h-2 rounded-full bg-indigo-500" style={{ width: `${Math.round(planState.done.length / activePlan.days * 100)}%` }} /></div>
+                        {planToday > 0 && planState.done.length < planToday && <p className="text-xs text-amber-300">{planToday - planState.done.filter(i=> i < planToday).length} earlier day(s) unread. Use ‹ to catch up.</p>}
+                      </>
+                    );
+                  })()}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Upload className="h-5 w-5"/>Content Packs</h3>
+                  {[CORE_PACK, ...packs].map(p=> (
+                    <div key={p.id} className="flex items-center justify-between rounded-lg bg-slate-800/60 px-3 py-2 text-sm">
+                      <span><span className="font-semibold">{p.name}</span>{p.author ? ` · ${p.author}` : ""} <span className="text-xs text-slate-400">{(p.verses||[]).length} verses · {(p.prayers||[]).length} prayers · {(p.selfTalk||[]).length} self-talk · {(p.plans||[]).length} plans</span></span>
+                      <span className="flex">
+                        <Button size="sm" variant="ghost" onClick={()=>exportPack(p)}><Download className="h-4 w-4"/></Button>
+                        {p.id !== CORE_PACK.id && <Button size="sm" variant="ghost" onClick={()=>removePack(p.id)}>×</Button>}
+                      </span>
+                    </div>
+                  ))}
+                  <Input type="file" accept="application/json,.json" onChange={(e)=>{ importPack(e.target.files?.[0]); e.target.value = ""; }} />
+                  {packMsg && <p className="text-xs text-slate-300">{packMsg}</p>}
+                  <p className="text-xs text-slate-400">Packs are JSON files shared by every athlete on this device. Export the core pack to use as a template: tag items with themes, and map themes to check-in domains.</p>
                 </CardContent>
               </Card>
             </div>
@@ -592,17 +3198,33 @@ export default function TungstenStandardApp() {
                   </div>
 
                   {gender==="female" && (
-                    <div className="text-sm">
-                      <Label>Cycle Phase</Label>
-                      <Select value={cycle} onValueChange={setCycle}>
-                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
-                        <SelectContent>
-                          <SelectItem value="menstruation">Menstruation</SelectItem>
-                          <SelectItem value="follicular">Follicular</SelectItem>
-                          <SelectItem value="ovulation">Ovulation</SelectItem>
-                          <SelectItem value="luteal">Luteal</SelectItem>
-                        </SelectContent>
-                      </Select>
+                    <div className="grid grid-cols-2 gap-3 text-sm">
+                      <div>
+                        <Label>Cycle Phase</Label>
+                        <Select value={cycleMode} onValueChange={setCycleMode}>
+                          <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                          <SelectContent>
+                            <SelectItem value="auto">Automatic (cycle tracker)</SelectItem>
+                            <SelectItem value="manual">Manual override</SelectItem>
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      {cycleMode === "manual" || !cycleToday ? (
+                        <div>
+                          <Label>{cycleMode === "auto" ? "Phase (until a period is logged)" : "Phase"}</Label>
+                          <Select value={cycle} onValueChange={setCycle}>
+                            <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="menstruation">Menstruation</SelectItem>
+                              <SelectItem value="follicular">Follicular</SelectItem>
+                              <SelectItem value="ovulation">Ovulation</SelectItem>
+                              <SelectItem value="luteal">Luteal</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      ) : (
+                        <div className="self-end text-slate-300">Today: <span className="font-semibold capitalize text-indigo-300">{phase}</span> (day {cycleToday.cycleDay})</div>
+                      )}
                     </div>
                   )}
 
@@ -616,6 +3238,135 @@ export default function TungstenStandardApp() {
                 </CardContent>
               </Card>
 
+              {gender==="female" && (
+                <Card className="bg-slate-900/60 border-slate-800">
+                  <CardContent className="p-6 space-y-3">
+                    <h3 className="font-semibold flex items-center gap-2"><CalendarDays className="h-5 w-5"/>Cycle Tracker</h3>
+                    <div className="flex flex-wrap items-end gap-2 text-sm">
+                      <div><Label>Day</Label><Input type="date" max={todaySeed()} value={periodDay} onChange={(e)=>setPeriodDay(e.target.value)} /></div>
+                      <Button size="sm" onClick={logPeriodStart}>Period started</Button>
+                      <Button size="sm" variant="secondary" onClick={logPeriodEnd}>Period ended</Button>
+                      <Button size="sm" variant="ghost" onClick={logOvulation}>Ovulation (LH+)</Button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2 text-sm">
+                      <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">Avg cycle</div><div className="font-semibold">{cycleInfo.cycle} d</div></div>
+                      <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">Avg luteal</div><div className="font-semibold">{cycleInfo.luteal} d</div></div>
+                      <div className="rounded-xl bg-slate-800/60 p-3"><div className="text-xs text-slate-400">Avg period</div><div className="font-semibold">{cycleInfo.period} d</div></div>
+                    </div>
+                    <p className="text-xs text-slate-400">
+                      {cycleInfo.cycles ? `From ${cycleInfo.cycles} logged cycle(s).` : "Defaults until two period starts are logged."}
+                      {!(cycleLog.ovulations||[]).length && " Luteal length assumes 14 d until an ovulation is logged."}
+                    </p>
+                    {cycleInfo.irregular && <p className="text-xs text-amber-300">Recent cycles vary by more than 7 days, so forecasts are rough. Switch Cycle Phase to Manual override on days you know better.</p>}
+                    {cycleToday?.predicted && <p className="text-xs text-amber-300">Your period is due or late by this forecast. Log the start day when it begins.</p>}
+                    {forecast.length > 0 && (
+                      <div className="space-y-1 text-sm">
+                        <div className="text-xs text-slate-400">Forecast</div>
+                        {forecast.map(f=> (
+                          <div key={f.start} className="flex justify-between rounded-lg bg-slate-800/60 px-3 py-1">
+                            <span className="capitalize">{f.phase}</span><span className="font-mono text-xs">{f.start} → {f.end}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {cycleLog.periods.length > 0 && (
+                      <div className="space-y-1 text-sm max-h-40 overflow-y-auto">
+                        <div className="text-xs text-slate-400">Logged periods</div>
+                        {[...cycleLog.periods].reverse().map(p=> (
+                          <div key={p.start} className="flex items-center justify-between rounded-lg bg-slate-800/60 px-3 py-1">
+                            <span className="font-mono text-xs">{p.start}{p.end ? ` → ${p.end}` : ""}</span>
+                            <Button size="sm" variant="ghost" onClick={()=>removePeriod(p.start)}>×</Button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </CardContent>
+                </Card>
+              )}
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Download className="h-5 w-5"/>Backup & Transfer</h3>
+                  <p className="text-xs text-slate-400">One versioned JSON file with everything on this device. Also accepts backups from the HTML build.</p>
+                  {persisted != null && (
+                    <p className={`text-xs ${persisted ? "text-emerald-300" : "text-amber-300"}`}>
+                      {persisted ? "Storage is persistent: the browser won't clear it to free space." : "Storage isn't persistent yet: the browser may clear it when space runs low. Install the app or export backups regularly."}
+                    </p>
+                  )}
+                  <Button variant="secondary" onClick={exportJson}><Download className="h-4 w-4 mr-1"/>Export JSON</Button>
+                  <div className="grid grid-cols-2 gap-3 text-sm">
+                    <div>
+                      <Label>Import mode</Label>
+                      <Select value={importMode} onValueChange={setImportMode}>
+                        <SelectTrigger className="bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="merge">Merge (keep local profile)</SelectItem>
+                          <SelectItem value="replace">Replace everything</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label className="flex items-center gap-1"><Upload className="h-4 w-4"/>Import file</Label>
+                      <Input type="file" accept="application/json,.json" onChange={(e)=>{ importJson(e.target.files?.[0]); e.target.value = ""; }} />
+                    </div>
+                  </div>
+                  {importMsg && <p className="text-xs text-rose-300">{importMsg}</p>}
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><Bell className="h-5 w-5"/>Reminders</h3>
+                  {notifyPerm === "unsupported" ? <p className="text-sm text-slate-400">This browser can't show notifications.</p>
+                    : notifyPerm === "denied" ? <p className="text-sm text-rose-300">Notifications are blocked: allow them in the browser's site settings.</p>
+                    : reminders.enabled && notifyPerm === "granted"
+                      ? <Button size="sm" variant="outline" onClick={()=>setReminders({ ...reminders, enabled: false })}>Turn reminders off</Button>
+                      : <Button size="sm" onClick={enableReminders}><Bell className="h-4 w-4 mr-1"/>Turn on reminders</Button>}
+                  <div className="space-y-2 text-sm">
+                    {Object.entries(REMINDER_LABELS).map(([cat, label])=> {
+                      const c = { ...REMINDER_DEFAULTS[cat], ...reminders[cat] };
+                      return (
+                        <div key={cat} className="flex items-center gap-2">
+                          <Button size="sm" className="w-44 justify-start" variant={c.on ? "default" : "outline"} onClick={()=>setReminder(cat, { on: !c.on })}>{label}</Button>
+                          {cat === "checkin" && <Input type="time" className="w-32" value={c.at} onChange={(e)=>setReminder(cat, { at: e.target.value })} />}
+                          {cat === "checkin" && <span className="text-xs text-slate-400">{c.at ? "" : "30 min after wake"}</span>}
+                          {cat === "hydration" && <><Input type="number" className="w-24" value={c.glassMl} onChange={(e)=>setReminder(cat, { glassMl: Number(e.target.value) })} /><span className="text-xs text-slate-400">ml per glass</span></>}
+                          {cat === "winddown" && <><Input type="number" className="w-24" value={c.leadMin} onChange={(e)=>setReminder(cat, { leadMin: Number(e.target.value) })} /><span className="text-xs text-slate-400">min before bed ({schedule.bed})</span></>}
+                          {cat === "session" && <Input type="time" className="w-32" value={c.at} onChange={(e)=>setReminder(cat, { at: e.target.value })} />}
+                        </div>
+                      );
+                    })}
+                    <div className="flex items-center gap-2">
+                      <Label className="w-44">Quiet hours</Label>
+                      <Input type="time" className="w-32" value={reminders.quiet?.start ?? ""} onChange={(e)=>setReminder("quiet", { start: e.target.value })} />
+                      <span>–</span>
+                      <Input type="time" className="w-32" value={reminders.quiet?.end ?? ""} onChange={(e)=>setReminder("quiet", { end: e.target.value })} />
+                    </div>
+                  </div>
+                  <div className="rounded-lg bg-slate-800/60 p-3 text-xs space-y-1">
+                    <div className="text-slate-400">Today{reminders.enabled ? "" : " (off)"}:</div>
+                    {reminderItems.length ? reminderItems.map(r=> (
+                      <div key={r.id}><span className="font-semibold">{r.at}</span> {r.title}: {r.body}{r.moved ? " (moved out of quiet hours)" : ""}</div>
+                    )) : <div className="text-slate-400">Nothing left for today.</div>}
+                  </div>
+                  <p className="text-xs text-slate-400">Local notifications, no server: hydration prompts inside quiet hours are skipped, other reminders move to the edge. Done items drop off (check-in saved, water on pace, session logged). They only arrive while the app is open, in a tab (background is fine) or installed; once it's closed nothing fires.</p>
+                </CardContent>
+              </Card>
+
+              <Card className="bg-slate-900/60 border-slate-800">
+                <CardContent className="p-6 space-y-3">
+                  <h3 className="font-semibold flex items-center gap-2"><FileSpreadsheet className="h-5 w-5"/>Spreadsheet (CSV)</h3>
+                  <p className="text-xs text-slate-400">One row per day: all 21 answers, total, BMR/TDEE/kcal, macros, water, sodium, sleep, VO₂ and tier.</p>
+                  <Button variant="secondary" onClick={exportCsv}><Download className="h-4 w-4 mr-1"/>Export CSV</Button>
+                  <div className="text-sm">
+                    <Label className="flex items-center gap-1"><Upload className="h-4 w-4"/>Import VO₂ field-test log</Label>
+                    <Input type="file" accept="text/csv,.csv" onChange={(e)=>{ importVo2Csv(e.target.files?.[0]); e.target.value = ""; }} />
+                    <div className="text-xs text-slate-400 mt-1">Columns: date + vo2 (optional vo2_method), cooper_m, or hr_rest (optional hr_max).</div>
+                  </div>
+                  {csvMsg && <p className="text-xs text-slate-300">{csvMsg}</p>}
+                </CardContent>
+              </Card>
+
               <Card className="bg-slate-900/60 border-slate-800">
                 <CardContent className="p-6">
                   <h3 className="font-semibold flex items-center gap-2"><Sparkles className="h-5 w-5"/>Notes</h3>
@@ -624,6 +3375,64 @@ export default function TungstenStandardApp() {
               </Card>
             </div>
           </TabsContent>
+
+          {/* TEAM */}
+          <TabsContent value="team" className="mt-6">
+            <Card className="bg-slate-900/60 border-slate-800">
+              <CardContent className="p-6 space-y-4">
+                <h3 className="font-semibold flex items-center gap-2"><Users className="h-5 w-5"/>Roster</h3>
+                <div className="grid gap-2 text-sm">
+                  {roster.map(p=> (
+                    <div key={p.id} className={`rounded-xl p-3 flex flex-wrap items-center justify-between gap-2 ${p.id===activeId?"bg-indigo-900/40":"bg-slate-800/60"}`}>
+                      <div className="font-semibold w-40">{p.name}</div>
+                      {p.last ? (
+                        <>
+                          <div>{p.last.total}/105 <span className="text-xs text-slate-400">({p.last.d})</span></div>
+                          <div className="text-slate-300">Weakest: {p.weakest.map(shortLabel).join(", ")}</div>
+                          <Badge variant="secondary" className="capitalize">{p.last.tier}</Badge>
+                        </>
+                      ) : <div className="text-slate-400">No check-ins yet</div>}
+                      <div className="flex gap-1">
+                        {p.id!==activeId && <Button size="sm" variant="secondary" onClick={()=>team.switchTo(p.id)}>Open</Button>}
+                        {p.id!==DEFAULT_PROFILE && <Button size="sm" variant="ghost" onClick={()=>removeAthlete(p)}>Delete</Button>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <Separator className="bg-slate-800" />
+                <div className="flex gap-2 text-sm">
+                  <Input value={newAthlete} onChange={(e)=>setNewAthlete(e.target.value)} placeholder="Athlete name" onKeyDown={(e)=> e.key==="Enter" && addAthlete()} />
+                  <Button onClick={addAthlete}><UserPlus className="h-4 w-4 mr-1"/>Add athlete</Button>
+                </div>
+                <p className="text-xs text-slate-400">Each athlete’s data is stored separately on this device. Backups include every athlete.</p>
+              </CardContent>
+            </Card>
+
+            <Card className="bg-slate-900/60 border-slate-800 mt-6">
+              <CardContent className="p-6 space-y-3">
+                <h3 className="font-semibold flex items-center gap-2"><FileText className="h-5 w-5"/>Weekly Report</h3>
+                <div className="flex flex-wrap gap-2 text-sm">
+                  <Select value={reportWeek} onValueChange={setReportWeek}>
+                    <SelectTrigger className="w-48 bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {reportWeeks.map((w, i)=> <SelectItem key={w} value={w}>{i === 0 ? "This week" : i === 1 ? "Last week" : `Week of ${w}`}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                  <Select value={reportScope} onValueChange={setReportScope}>
+                    <SelectTrigger className="w-48 bg-slate-800 border-slate-700"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="athlete">{roster.find(p=> p.id === activeId)?.name || "This athlete"}</SelectItem>
+                      <SelectItem value="team">All athletes ({roster.length} pages)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <Button variant="secondary" onClick={printReport}><Printer className="h-4 w-4 mr-1"/>Print / PDF</Button>
+                  <Button variant="secondary" onClick={downloadReport}><Download className="h-4 w-4 mr-1"/>Download HTML</Button>
+                </div>
+                {reportMsg && <p className="text-xs text-rose-300">{reportMsg}</p>}
+                <p className="text-xs text-slate-400">One page per athlete: check-in averages by part with the biggest movers, VO₂ and class, training vs. the cardio prescription, nutrition/hydration targets vs. what was logged, and next week's micro-goals. The HTML file opens offline; print it to PDF to share.</p>
+              </CardContent>
+            </Card>
+          </TabsContent>
         </Tabs>
       </div>
     </div>
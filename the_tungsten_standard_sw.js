@@ -0,0 +1,65 @@
+// =============================================================
+// THE TUNGSTEN STANDARD — Service Worker
+// =============================================================
+// Offline shell shared by the HTML (PWA) build and the React app. Serve it next to the
+// page so its scope covers the app; both register "./the_tungsten_standard_sw.js?shell=<page path>".
+// - Install: precache the page and ASSETS under a cache named by VERSION
+// - Activate: delete caches left by earlier versions
+// - Fetch: the page and ASSETS cache-first from this version's cache, so a page always runs
+//   against the engine it shipped with; other same-origin GETs network-first (cache offline)
+// - Update: a new worker waits until the page posts { type: "SKIP_WAITING" } from its reload prompt
+// - Notification clicks (local reminders) focus the open app
+// VERSION and ASSETS are written by `npm run build` from the precached files' contents; the React
+// app ships the copy `npm run build -- --dist <dir>` writes into its bundle, which precaches the bundle.
+// =============================================================
+
+// ---- generated by scripts/build.js: do not edit ----
+const VERSION = "3e10f989a891";
+const ASSETS = ["./11-6-2025-11:50am","./the_tungsten_standard_engine.js","./the_tungsten_standard_engine.global.js","./the_tungsten_standard.webmanifest","./the_tungsten_standard_icon.svg"];
+// ---- end generated ----
+const CACHE_PREFIX = "tungsten-standard-";
+const CACHE = CACHE_PREFIX + VERSION;
+const SHELL = new URL(new URL(location).searchParams.get("shell") || "./", self.registration.scope).href;
+const PRECACHE = [...new Set([SHELL, ...ASSETS.map((a) => new URL(a, self.registration.scope).href)])];
+
+const sameOrigin = (url) => new URL(url).origin === location.origin;
+const put = (req, res) => res.ok && caches.open(CACHE).then((c) => c.put(req, res));
+const isPrecached = (url) => { const u = new URL(url); u.search = ""; return PRECACHE.includes(u.href); };
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(caches.open(CACHE).then((c) => c.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (e) => {
+  if (e.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET" || !sameOrigin(req.url)) return;
+  if (isPrecached(req.url)) {
+    e.respondWith(caches.open(CACHE).then((c) => c.match(req, { ignoreSearch: true })).then((hit) => hit || fetch(req)));
+    return;
+  }
+  e.respondWith(
+    fetch(req)
+      .then((res) => { put(req, res.clone()); return res; })
+      .catch(() => caches.match(req, { ignoreSearch: true }).then((hit) => hit || (req.mode === "navigate" ? caches.match(SHELL) : Response.error())))
+  );
+});
+
+self.addEventListener("notificationclick", (e) => {
+  e.notification.close();
+  e.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true })
+      .then((cs) => cs.find((c) => "focus" in c)?.focus() || self.clients.openWindow(SHELL))
+  );
+});